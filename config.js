@@ -0,0 +1,43 @@
+const path = require('path');
+
+// Runtime configuration, overridable through environment variables
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+module.exports = {
+    port: process.env.PORT || 3000,
+    dataDir: DATA_DIR,
+    // Extra origins allowed to call the API from a browser, comma-separated.
+    // The app's own origin and browser extensions are always allowed.
+    corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    // Largest request body POST /api/import accepts (whole exports)
+    importLimit: process.env.IMPORT_LIMIT || '10mb',
+    timer: {
+        // Timers left running (or paused) longer than this are stopped by
+        // the server, unless the workspace sets its own limit; 0 turns it off
+        maxHours: process.env.TIMER_MAX_HOURS !== undefined ? Number(process.env.TIMER_MAX_HOURS) : 12,
+        checkIntervalMinutes: Number(process.env.TIMER_CHECK_MINUTES) || 5
+    },
+    webhooks: {
+        // How long a receiver may take to answer a delivery
+        timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+        // Failed deliveries are retried after this many seconds, four times
+        // longer after each further failure, up to maxAttempts tries
+        retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 10,
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6
+    },
+    auth: {
+        sessionTtlDays: Number(process.env.SESSION_TTL_DAYS) || 30
+    },
+    storage: {
+        // 'json' (default) or 'sqlite'
+        driver: process.env.STORAGE_DRIVER || 'json',
+        sqliteFile: process.env.SQLITE_FILE || path.join(DATA_DIR, 'time-tracker.db'),
+        quarantineDir: path.join(DATA_DIR, 'quarantine')
+    },
+    backups: {
+        dir: process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups'),
+        // How many snapshots to keep before the oldest are deleted
+        keep: Number(process.env.BACKUP_KEEP) || 24,
+        intervalMinutes: Number(process.env.BACKUP_INTERVAL_MINUTES) || 60
+    }
+};
@@ -0,0 +1,179 @@
+const { HttpError } = require('./http-error');
+const { parseDay, addDays } = require('./dates');
+const { parsePositiveInteger } = require('./entries');
+
+// Collections whose changes are recorded, with the entity type records use
+const AUDITED_COLLECTIONS = {
+    entries: 'entry',
+    projects: 'project',
+    clients: 'client',
+    tags: 'tag',
+    workspaces: 'workspace'
+};
+
+const ENTITY_TYPES = Object.values(AUDITED_COLLECTIONS);
+const OPERATIONS = ['create', 'update', 'delete', 'restore'];
+
+// Changes the server makes on its own, such as stopping forgotten timers
+const SYSTEM_ACTOR = { id: null, name: 'System' };
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Bookkeeping that changes with every save and says nothing on its own
+const IGNORED_FIELDS = ['updatedAt'];
+
+function sameDoc(a, b) {
+    const strip = doc => JSON.stringify(Object.fromEntries(Object.entries(doc).filter(([field]) => !IGNORED_FIELDS.includes(field))));
+    return strip(a) === strip(b);
+}
+
+function workspaceOf(collection, doc) {
+    return collection === 'workspaces' ? doc.id : doc.workspaceId || null;
+}
+
+// The append-only log of changes to entries, projects, clients, tags and
+// workspace settings, kept in the `audit` collection. Records are only ever inserted:
+// nothing updates or removes them, and backup restores leave them alone.
+function createAuditTrail({ generateId }) {
+    // Wraps a transaction so every insert, update, remove and replaceAll on
+    // an audited collection also appends a record, in the same transaction,
+    // with the full document before and after. `actor` is the user making
+    // the change (or SYSTEM_ACTOR). Unchanged updates are not recorded.
+    // tx.restore(collection, doc) inserts like tx.insert but records a
+    // restore.
+    function track(tx, actor) {
+        const record = (collection, operation, before, after) => tx.insert('audit', {
+            id: generateId(),
+            at: new Date().toISOString(),
+            actorId: actor.id,
+            actorName: actor.name,
+            operation,
+            entityType: AUDITED_COLLECTIONS[collection],
+            entityId: (after || before).id,
+            workspaceId: workspaceOf(collection, after || before),
+            before,
+            after
+        });
+
+        const insertAs = operation => async (collection, doc) => {
+            const saved = await tx.insert(collection, doc);
+            if (AUDITED_COLLECTIONS[collection]) {
+                await record(collection, operation, null, saved);
+            }
+            return saved;
+        };
+
+        return {
+            ...tx,
+
+            insert: insertAs('create'),
+            restore: insertAs('restore'),
+
+            async update(collection, doc) {
+                const before = AUDITED_COLLECTIONS[collection] ? await tx.get(collection, doc.id) : null;
+                const saved = await tx.update(collection, doc);
+                if (before && saved && !sameDoc(before, saved)) {
+                    await record(collection, 'update', before, saved);
+                }
+                return saved;
+            },
+
+            async remove(collection, id) {
+                const removed = await tx.remove(collection, id);
+                if (removed && AUDITED_COLLECTIONS[collection]) {
+                    await record(collection, 'delete', removed, null);
+                }
+                return removed;
+            },
+
+            // One record per document added, changed or dropped. When the
+            // current documents can't be read (a corrupt file being repaired
+            // from a backup), every document is recorded as restored.
+            async replaceAll(collection, docs) {
+                if (!AUDITED_COLLECTIONS[collection]) {
+                    return tx.replaceAll(collection, docs);
+                }
+                let previous;
+                try {
+                    previous = new Map((await tx.list(collection)).map(doc => [doc.id, doc]));
+                } catch (error) {
+                    const result = await tx.replaceAll(collection, docs);
+                    for (const doc of docs) {
+                        await record(collection, 'restore', null, doc);
+                    }
+                    return result;
+                }
+                const result = await tx.replaceAll(collection, docs);
+                for (const doc of docs) {
+                    const before = previous.get(doc.id);
+                    if (!before) {
+                        await record(collection, 'create', null, doc);
+                    } else if (!sameDoc(before, doc)) {
+                        await record(collection, 'update', before, doc);
+                    }
+                    previous.delete(doc.id);
+                }
+                for (const before of previous.values()) {
+                    await record(collection, 'delete', before, null);
+                }
+                return result;
+            }
+        };
+    }
+
+    return { track };
+}
+
+// ?entityType=&entityId=&operation=&actorId=&from=&to= (days, inclusive)
+// with ?limit= and ?page=
+function parseAuditQuery(query) {
+    if (query.entityType !== undefined && !ENTITY_TYPES.includes(query.entityType)) {
+        throw new HttpError(400, `entityType must be one of: ${ENTITY_TYPES.join(', ')}`);
+    }
+    if (query.operation !== undefined && !OPERATIONS.includes(query.operation)) {
+        throw new HttpError(400, `operation must be one of: ${OPERATIONS.join(', ')}`);
+    }
+    const from = query.from ? parseDay(query.from, 'from') : null;
+    const to = query.to ? addDays(parseDay(query.to, 'to'), 1) : null;
+    if (from && to && to <= from) {
+        throw new HttpError(400, 'to must not be before from');
+    }
+
+    return {
+        entityType: query.entityType || null,
+        entityId: query.entityId ? String(query.entityId) : null,
+        operation: query.operation || null,
+        actorId: query.actorId ? String(query.actorId) : null,
+        from,
+        to,
+        limit: query.limit !== undefined ? parsePositiveInteger(query.limit, 'limit', MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+        page: query.page !== undefined ? parsePositiveInteger(query.page, 'page') : 1
+    };
+}
+
+function matchesAuditFilters(record, filters) {
+    const at = new Date(record.at);
+    return (!filters.entityType || record.entityType === filters.entityType)
+        && (!filters.entityId || record.entityId === filters.entityId)
+        && (!filters.operation || record.operation === filters.operation)
+        && (!filters.actorId || record.actorId === filters.actorId)
+        && (!filters.from || at >= filters.from)
+        && (!filters.to || at < filters.to);
+}
+
+// The entity as it was (or is) according to a record
+function snapshotOf(record) {
+    return record.after || record.before;
+}
+
+module.exports = {
+    AUDITED_COLLECTIONS,
+    ENTITY_TYPES,
+    OPERATIONS,
+    SYSTEM_ACTOR,
+    createAuditTrail,
+    parseAuditQuery,
+    matchesAuditFilters,
+    snapshotOf
+};
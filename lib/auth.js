@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { HttpError } = require('./http-error');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+const ROLES = ['admin', 'member'];
+
+// Stored as scrypt$<salt>$<hash>, both hex
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(expectedBuffer, hash);
+}
+
+// A well-formed hash no password matches. Logins for unknown emails are
+// checked against it, so they take as long as a wrong password and the
+// response time does not reveal who has an account.
+const UNKNOWN_USER_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+// Tokens are shown to the user once; only their hash is stored
+function generateToken(prefix) {
+    return `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Never send password or token hashes to clients
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+        throw new HttpError(400, 'Password must be at least 8 characters');
+    }
+}
+
+// Resolves "Authorization: Bearer <token>" against browser sessions
+// (tt_session_…) and long-lived API tokens (tt_api_…, used by the extension).
+// On `queryTokenPaths` an API token may come as ?token= instead, for clients
+// such as calendar apps that can't send headers.
+function createAuthenticator(storage, { publicPaths = [], queryTokenPaths = [] } = {}) {
+    async function resolveToken(token) {
+        const tokenHash = hashToken(token);
+        const now = new Date();
+
+        if (token.startsWith('tt_session_')) {
+            const [session] = await storage.list('sessions', { tokenHash });
+            if (!session || new Date(session.expiresAt) <= now) {
+                return null;
+            }
+            return { userId: session.userId, sessionId: session.id };
+        }
+
+        if (token.startsWith('tt_api_')) {
+            return storage.transaction(async (tx) => {
+                const [apiToken] = await tx.list('apiTokens', { tokenHash });
+                if (!apiToken || apiToken.revokedAt) {
+                    return null;
+                }
+                // Hourly granularity is enough and avoids a write per request
+                if (!apiToken.lastUsedAt || now - new Date(apiToken.lastUsedAt) > 60 * 60 * 1000) {
+                    await tx.update('apiTokens', { ...apiToken, lastUsedAt: now.toISOString() });
+                }
+                return { userId: apiToken.userId, apiTokenId: apiToken.id };
+            });
+        }
+
+        return null;
+    }
+
+    return async function authenticate(req, res, next) {
+        if (publicPaths.includes(req.path)) {
+            return next();
+        }
+
+        try {
+            const header = req.get('Authorization') || '';
+            const match = header.match(/^Bearer\s+(\S+)$/i);
+            const queryToken = !match && queryTokenPaths.includes(req.path) && typeof req.query.token === 'string'
+                && req.query.token.startsWith('tt_api_') ? req.query.token : null;
+            const token = match ? match[1] : queryToken;
+            const credentials = token && await resolveToken(token);
+            const user = credentials && await storage.get('users', credentials.userId);
+
+            if (!user || user.disabled) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            req.user = publicUser(user);
+            req.auth = credentials;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    UNKNOWN_USER_HASH,
+    generateToken,
+    hashToken,
+    publicUser,
+    validatePassword,
+    createAuthenticator,
+    requireRole
+};
@@ -0,0 +1,187 @@
+const { HttpError } = require('./http-error');
+
+const BUDGET_TYPES = ['hours', 'money'];
+const BUDGET_PERIODS = ['total', 'monthly'];
+const DEFAULT_ALERT_PERCENTAGES = [80, 100];
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function parseRate(value, field) {
+    if (value === null || value === '') {
+        return null;
+    }
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate < 0) {
+        throw new HttpError(400, `${field} must be a non-negative number`);
+    }
+    return rate;
+}
+
+// Only real booleans: "false" from a careless client must not bill the work
+function parseBillable(value) {
+    if (typeof value !== 'boolean') {
+        throw new HttpError(400, 'billable must be true or false');
+    }
+    return value;
+}
+
+// Billing fields of a project from a request body. Only the fields present
+// are returned, so the result can be spread over an existing project.
+function parseProjectBilling(body) {
+    const result = {};
+
+    if (body.hourlyRate !== undefined) {
+        result.hourlyRate = parseRate(body.hourlyRate, 'hourlyRate');
+    }
+    if (body.billable !== undefined) {
+        result.billable = parseBillable(body.billable);
+    }
+    if (body.memberRates !== undefined) {
+        if (!body.memberRates || typeof body.memberRates !== 'object' || Array.isArray(body.memberRates)) {
+            throw new HttpError(400, 'memberRates must map user ids to hourly rates');
+        }
+        result.memberRates = {};
+        for (const [userId, rate] of Object.entries(body.memberRates)) {
+            const parsed = parseRate(rate, `memberRates.${userId}`);
+            if (parsed !== null) {
+                result.memberRates[userId] = parsed;
+            }
+        }
+    }
+    if (body.budget !== undefined) {
+        result.budget = parseBudget(body.budget);
+    }
+
+    return result;
+}
+
+function parseBudget(budget) {
+    if (budget === null) {
+        return null;
+    }
+
+    const { type, amount, period = 'total', alertPercentages = DEFAULT_ALERT_PERCENTAGES } = budget;
+    if (!BUDGET_TYPES.includes(type)) {
+        throw new HttpError(400, `budget.type must be one of: ${BUDGET_TYPES.join(', ')}`);
+    }
+    if (!BUDGET_PERIODS.includes(period)) {
+        throw new HttpError(400, `budget.period must be one of: ${BUDGET_PERIODS.join(', ')}`);
+    }
+    const parsedAmount = Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+        throw new HttpError(400, 'budget.amount must be a positive number');
+    }
+    if (!Array.isArray(alertPercentages) || alertPercentages.some(value => !Number.isFinite(Number(value)) || Number(value) <= 0)) {
+        throw new HttpError(400, 'budget.alertPercentages must be a list of positive numbers');
+    }
+
+    return {
+        type,
+        amount: parsedAmount,
+        period,
+        alertPercentages: [...new Set(alertPercentages.map(Number))].sort((a, b) => a - b)
+    };
+}
+
+// Billing fields of an entry: whether it is billable and an optional rate
+// that wins over the project's
+function parseEntryBilling(body) {
+    const result = {};
+    if (body.billable !== undefined) {
+        result.billable = parseBillable(body.billable);
+    }
+    if (body.hourlyRate !== undefined) {
+        result.hourlyRate = parseRate(body.hourlyRate, 'hourlyRate');
+    }
+    return result;
+}
+
+// Entry rate, else the member's rate on the project, else the project rate,
+// else its client's default rate (callers copy it onto project.clientRate)
+function resolveRate(entry, project) {
+    if (entry.hourlyRate !== undefined && entry.hourlyRate !== null) {
+        return entry.hourlyRate;
+    }
+    if (project && project.memberRates && project.memberRates[entry.userId] !== undefined) {
+        return project.memberRates[entry.userId];
+    }
+    if (project && project.hourlyRate !== undefined && project.hourlyRate !== null) {
+        return project.hourlyRate;
+    }
+    return project && project.clientRate ? project.clientRate : 0;
+}
+
+// Entries without the flag predate billing and follow their project
+function isBillable(entry, project) {
+    if (entry.billable !== undefined) {
+        return entry.billable;
+    }
+    return !project || project.billable !== false;
+}
+
+function entryAmount(entry, project, seconds) {
+    return isBillable(entry, project) ? roundMoney(seconds / 3600 * resolveRate(entry, project)) : 0;
+}
+
+// Start of the budget period containing `now`
+function budgetPeriodStart(budget, now = new Date()) {
+    return budget.period === 'monthly' ? new Date(now.getFullYear(), now.getMonth(), 1) : null;
+}
+
+// How much of a project's budget its entries use. `entries` are the
+// project's entries as { entry, seconds }. With changedEntryId it also
+// reports which alert thresholds that one entry has just crossed.
+function budgetStatus(project, entries, { now = new Date(), changedEntryId = null } = {}) {
+    const { budget } = project;
+    if (!budget) {
+        return null;
+    }
+
+    const periodStart = budgetPeriodStart(budget, now);
+    const inPeriod = entries.filter(({ entry }) => !periodStart || new Date(entry.startTime) >= periodStart);
+    const measure = ({ entry, seconds }) => budget.type === 'hours'
+        ? seconds / 3600
+        : entryAmount(entry, project, seconds);
+
+    const used = inPeriod.reduce((sum, item) => sum + measure(item), 0);
+    const usedBefore = inPeriod
+        .filter(({ entry }) => entry.id !== changedEntryId)
+        .reduce((sum, item) => sum + measure(item), 0);
+
+    const percentUsed = used / budget.amount * 100;
+    const percentBefore = usedBefore / budget.amount * 100;
+    const round = value => budget.type === 'hours' ? Math.round(value * 100) / 100 : roundMoney(value);
+
+    return {
+        projectId: project.id,
+        projectName: project.name,
+        type: budget.type,
+        period: budget.period,
+        periodStart: periodStart ? periodStart.toISOString() : null,
+        amount: budget.amount,
+        used: round(used),
+        remaining: round(Math.max(0, budget.amount - used)),
+        overBy: round(Math.max(0, used - budget.amount)),
+        percentUsed: Math.round(percentUsed * 10) / 10,
+        overBudget: used > budget.amount,
+        alertsReached: budget.alertPercentages.filter(threshold => percentUsed >= threshold),
+        // Thresholds that changedEntryId pushed the project across
+        alertsCrossed: changedEntryId
+            ? budget.alertPercentages.filter(threshold => percentBefore < threshold && percentUsed >= threshold)
+            : []
+    };
+}
+
+module.exports = {
+    BUDGET_TYPES,
+    BUDGET_PERIODS,
+    roundMoney,
+    parseProjectBilling,
+    parseEntryBilling,
+    resolveRate,
+    isBillable,
+    entryAmount,
+    budgetStatus
+};
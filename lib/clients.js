@@ -0,0 +1,49 @@
+const { HttpError } = require('./http-error');
+
+const CONTACT_FIELDS = ['contactName', 'email', 'phone', 'address'];
+
+// Client fields from a request body. Only the fields present are returned,
+// so the result can be spread over an existing client.
+function parseClientFields(body, { requireName = false } = {}) {
+    const result = {};
+
+    if (body.name !== undefined || requireName) {
+        const name = String(body.name || '').trim();
+        if (!name) {
+            throw new HttpError(400, 'Client name is required');
+        }
+        result.name = name;
+    }
+    for (const field of CONTACT_FIELDS) {
+        if (body[field] !== undefined) {
+            result[field] = body[field] === null ? '' : String(body[field]).trim();
+        }
+    }
+    if (body.defaultRate !== undefined) {
+        const rate = body.defaultRate === null || body.defaultRate === '' ? null : Number(body.defaultRate);
+        if (rate !== null && (!Number.isFinite(rate) || rate < 0)) {
+            throw new HttpError(400, 'defaultRate must be a non-negative number');
+        }
+        result.defaultRate = rate;
+    }
+    if (body.currency !== undefined) {
+        if (!/^[A-Z]{3}$/.test(body.currency)) {
+            throw new HttpError(400, 'Currency must be a three-letter ISO code such as USD');
+        }
+        result.currency = body.currency;
+    }
+
+    return result;
+}
+
+// "Client B - Tax Prep" → { client: 'Client B', service: 'Tax Prep' }.
+// Names without the separator have no client.
+function splitProjectName(name) {
+    const match = /^(.+?)\s+[-–]\s+(.+)$/.exec(name || '');
+    return match ? { client: match[1].trim(), service: match[2].trim() } : null;
+}
+
+module.exports = {
+    parseClientFields,
+    splitProjectName
+};
@@ -0,0 +1,72 @@
+const { HttpError } = require('./http-error');
+
+// Calendar helpers. Days are local to the server, as YYYY-MM-DD keys.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// 0 (Sunday) to 6 (Saturday), given as a number or a day name
+function parseWeekStart(value, name = 'weekStart') {
+    const index = /^\d$/.test(String(value)) ? Number(value) : WEEKDAYS.indexOf(String(value).toLowerCase());
+    if (index < 0 || index > 6) {
+        throw new HttpError(400, `${name} must be a day name or 0 (Sunday) to 6 (Saturday)`);
+    }
+    return index;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function startOfWeek(date = new Date(), weekStart = 0) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return addDays(day, -((day.getDay() - weekStart + 7) % 7));
+}
+
+function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function monthKey(date) {
+    return dayKey(date).slice(0, 7);
+}
+
+function parseDay(value, name) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    // Rejects impossible days like 2024-02-31 instead of rolling them over
+    if (!date || dayKey(date) !== value) {
+        throw new HttpError(400, `${name} must be a date (YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, both days inclusive; defaults to this week.
+// Returns [from, to) as local-time Dates.
+function getDateRange(query, weekStart = 0) {
+    const from = query.from ? parseDay(query.from, 'from') : startOfWeek(new Date(), weekStart);
+    const to = addDays(query.to ? parseDay(query.to, 'to') : addDays(from, 6), 1);
+
+    if (to <= from) {
+        throw new HttpError(400, 'to must not be before from');
+    }
+    return { from, to };
+}
+
+function isInRange(entry, { from, to }) {
+    const start = new Date(entry.startTime);
+    return start >= from && start < to;
+}
+
+module.exports = {
+    WEEKDAYS,
+    parseWeekStart,
+    addDays,
+    startOfWeek,
+    dayKey,
+    monthKey,
+    parseDay,
+    getDateRange,
+    isInRange
+};
@@ -0,0 +1,305 @@
+const { HttpError } = require('./http-error');
+const billing = require('./billing');
+const { entryTagIds } = require('./tags');
+
+// Fields a client may set on a time entry. needsReview can only be cleared,
+// once someone has checked the entry.
+const WRITABLE_FIELDS = ['projectId', 'description', 'startTime', 'endTime', 'billable', 'hourlyRate', 'tagIds', 'needsReview'];
+
+// Fields the server owns, with why. Updates may echo them back unchanged
+// (clients often send the whole entry) but never change them.
+const READ_ONLY_FIELDS = {
+    id: 'cannot be changed',
+    userId: 'cannot be changed',
+    workspaceId: 'cannot be changed',
+    createdAt: 'cannot be changed',
+    updatedAt: 'is set by the server',
+    invoiceId: 'is set by invoicing',
+    status: 'follows from endTime',
+    duration: 'is derived from startTime and endTime',
+    breakDuration: 'is derived from the timer breaks',
+    breaks: 'are recorded by the timer',
+    autoStopped: 'is set when the server stops a forgotten timer'
+};
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 20;
+
+// Running timers may start slightly "in the future" when clocks disagree
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const SORT_FIELDS = ['startTime', 'createdAt', 'updatedAt', 'duration', 'description'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function parseTime(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// A list of tag ids, without repeats; null clears them. Whether the tags
+// exist is left to the caller.
+function parseTagIds(value) {
+    const tagIds = value === null ? [] : value;
+    if (!Array.isArray(tagIds) || tagIds.some(tagId => typeof tagId !== 'string' || !tagId)) {
+        throw new HttpError(400, 'tagIds must be a list of tag ids');
+    }
+    if (tagIds.length > MAX_TAGS) {
+        throw new HttpError(400, `tagIds can hold at most ${MAX_TAGS} tags`);
+    }
+    return [...new Set(tagIds)];
+}
+
+function sameValue(a, b) {
+    const normalize = value => value === undefined ? null : value;
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+// Checks a create (no `existing`) or an update of `existing` against the
+// entry schema. Returns the writable fields present, normalized, and a list
+// of { field, message } for everything wrong with the body. The project is
+// left to the caller, which has to look it up.
+function parseEntry(body, existing = null) {
+    const values = {};
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    for (const [field, reason] of Object.entries(READ_ONLY_FIELDS)) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        // A create names its own id so offline replays stay idempotent
+        const allowed = existing ? sameValue(body[field], existing[field]) : field === 'id';
+        if (!allowed) {
+            fail(field, reason);
+        }
+    }
+    for (const field of Object.keys(body)) {
+        if (!WRITABLE_FIELDS.includes(field) && !(field in READ_ONLY_FIELDS)) {
+            fail(field, 'is not a time entry field');
+        }
+    }
+
+    if (body.projectId !== undefined || !existing) {
+        if (body.projectId === undefined || body.projectId === null || body.projectId === '') {
+            fail('projectId', 'is required');
+        } else {
+            values.projectId = String(body.projectId);
+        }
+    }
+
+    if (body.description !== undefined) {
+        const description = body.description === null ? '' : body.description;
+        if (typeof description !== 'string') {
+            fail('description', 'must be a string');
+        } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+            fail('description', `must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        } else {
+            values.description = description;
+        }
+    }
+
+    if (body.startTime !== undefined || !existing) {
+        const startTime = parseTime(body.startTime);
+        if (body.startTime === undefined || body.startTime === null) {
+            fail('startTime', 'is required');
+        } else if (!startTime) {
+            fail('startTime', 'must be an ISO 8601 date and time');
+        } else {
+            values.startTime = startTime;
+        }
+    }
+
+    if (body.endTime !== undefined) {
+        if (body.endTime === null) {
+            if (existing && existing.endTime) {
+                fail('endTime', 'cannot be cleared; start a new timer instead');
+            } else {
+                values.endTime = null;
+            }
+        } else {
+            const endTime = parseTime(body.endTime);
+            if (!endTime) {
+                fail('endTime', 'must be an ISO 8601 date and time');
+            } else {
+                values.endTime = endTime;
+            }
+        }
+    }
+
+    const startTime = values.startTime || (existing && existing.startTime);
+    const endTime = values.endTime !== undefined ? values.endTime : existing && existing.endTime;
+    if (startTime && endTime && new Date(endTime) <= new Date(startTime)) {
+        fail('endTime', 'must be after startTime');
+    }
+    if (startTime && !endTime && new Date(startTime) - Date.now() > CLOCK_SKEW_MS) {
+        fail('startTime', 'cannot be in the future while the timer is running');
+    }
+
+    if (body.tagIds !== undefined) {
+        try {
+            values.tagIds = parseTagIds(body.tagIds);
+        } catch (error) {
+            fail('tagIds', `must be a list of at most ${MAX_TAGS} tag ids`);
+        }
+    }
+
+    if (body.needsReview === false) {
+        values.needsReview = false;
+    } else if (body.needsReview !== undefined && !(existing && sameValue(body.needsReview, existing.needsReview))) {
+        fail('needsReview', 'can only be cleared (false)');
+    }
+
+    if (body.billable !== undefined && typeof body.billable !== 'boolean') {
+        fail('billable', 'must be true or false');
+    }
+    try {
+        // A wrong billable is reported above; this is about the rate
+        const billable = typeof body.billable === 'boolean' ? body.billable : undefined;
+        Object.assign(values, billing.parseEntryBilling({ ...body, billable }));
+    } catch (error) {
+        fail('hourlyRate', 'must be a non-negative number');
+    }
+
+    return { values, errors };
+}
+
+// One 400 that lists every failing field
+function assertValid(errors) {
+    if (errors.length > 0) {
+        const summary = errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+        throw new HttpError(400, `Invalid time entry: ${summary}`, { fields: errors });
+    }
+}
+
+function parsePositiveInteger(value, name, max = Infinity) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw new HttpError(400, max === Infinity ? `${name} must be a positive whole number` : `${name} must be a whole number from 1 to ${max}`);
+    }
+    return number;
+}
+
+// Sorting, paging and the filters of GET /api/time-entries that need no
+// lookups. Dates, users and anything that depends on projects are left to
+// the route.
+function parseListQuery(query) {
+    const sort = query.sort || '-createdAt';
+    const sortField = typeof sort === 'string' ? sort.replace(/^-/, '') : null;
+    if (!SORT_FIELDS.includes(sortField)) {
+        throw new HttpError(400, `sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+    }
+    if (query.page !== undefined && query.cursor !== undefined) {
+        throw new HttpError(400, 'Use either page or cursor, not both');
+    }
+    for (const name of ['billable', 'needsReview']) {
+        if (query[name] !== undefined && !['true', 'false'].includes(query[name])) {
+            throw new HttpError(400, `${name} must be true or false`);
+        }
+    }
+
+    const paginated = query.limit !== undefined || query.page !== undefined || query.cursor !== undefined;
+    return {
+        sort: { field: sortField, descending: sort.startsWith('-') },
+        paginated,
+        limit: query.limit !== undefined ? parsePositiveInteger(query.limit, 'limit', MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+        page: query.page !== undefined ? parsePositiveInteger(query.page, 'page') : 1,
+        cursor: query.cursor !== undefined ? decodeCursor(query.cursor) : null,
+        projectIds: query.projectId ? String(query.projectId).split(',') : null,
+        clientId: query.clientId || null,
+        tagIds: query.tagId ? String(query.tagId).split(',') : null,
+        billable: query.billable !== undefined ? query.billable === 'true' : null,
+        needsReview: query.needsReview !== undefined ? query.needsReview === 'true' : null,
+        search: query.search ? String(query.search).trim().toLowerCase() : ''
+    };
+}
+
+// The filters of parseListQuery; `project` is the entry's, with clientRate
+function matchesFilters(entry, filters, project) {
+    return (!filters.projectIds || filters.projectIds.includes(entry.projectId))
+        && (!filters.clientId || (project && project.clientId === filters.clientId))
+        && (!filters.tagIds || entryTagIds(entry).some(tagId => filters.tagIds.includes(tagId)))
+        && (filters.billable === null || billing.isBillable(entry, project) === filters.billable)
+        && (filters.needsReview === null || Boolean(entry.needsReview) === filters.needsReview)
+        && (!filters.search || (entry.description || '').toLowerCase().includes(filters.search));
+}
+
+function compareValues(a, b, field) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === undefined || a === null) {
+        return -1;
+    }
+    if (b === undefined || b === null) {
+        return 1;
+    }
+    if (field === 'description') {
+        return a.localeCompare(b, undefined, { sensitivity: 'base' });
+    }
+    // Numbers, and ISO timestamps, which order correctly as plain strings
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Ties are broken by id so the order (and so every cursor) is stable
+function compareEntries(a, b, { field, descending }) {
+    const order = compareValues(a[field], b[field], field) || compareValues(a.id, b.id, 'id');
+    return descending ? -order : order;
+}
+
+// A cursor is the sort value and id of the last entry on the previous page
+function encodeCursor(entry, { field }) {
+    return Buffer.from(JSON.stringify([entry[field] === undefined ? null : entry[field], entry.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof id !== 'string') {
+            throw new Error('Missing id');
+        }
+        return { value, id };
+    } catch (error) {
+        throw new HttpError(400, 'cursor is not valid; use the nextCursor of a previous page');
+    }
+}
+
+function sortEntries(entries, sort) {
+    return [...entries].sort((a, b) => compareEntries(a, b, sort));
+}
+
+// The requested page of already sorted entries
+function paginate(sorted, { sort, limit, page, cursor }) {
+    let start = (page - 1) * limit;
+    if (cursor) {
+        const after = { [sort.field]: cursor.value, id: cursor.id };
+        start = sorted.findIndex(entry => compareEntries(entry, after, sort) > 0);
+        if (start === -1) {
+            start = sorted.length;
+        }
+    }
+
+    const items = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+    return {
+        items,
+        nextCursor: hasMore && items.length > 0 ? encodeCursor(items[items.length - 1], sort) : null
+    };
+}
+
+module.exports = {
+    WRITABLE_FIELDS,
+    READ_ONLY_FIELDS,
+    SORT_FIELDS,
+    parsePositiveInteger,
+    parseTagIds,
+    parseEntry,
+    assertValid,
+    parseListQuery,
+    matchesFilters,
+    sortEntries,
+    paginate
+};
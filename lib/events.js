@@ -0,0 +1,67 @@
+// In-process change feed. Routes publish what they changed once it is
+// saved; the /api/events stream (and anything else interested) subscribes.
+// An event is
+//
+//   { id, type, workspaceId, userId, data, at }
+//
+// userId is set for personal changes (timers, entries) and null for
+// workspace-wide ones (projects).
+
+// Comments keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// How long EventSource clients wait before reconnecting
+const RETRY_MS = 5 * 1000;
+
+function createEventBus() {
+    const listeners = new Set();
+    let lastId = 0;
+
+    return {
+        publish(type, { workspaceId, userId = null, data }) {
+            const event = { id: ++lastId, type, workspaceId, userId, data, at: new Date().toISOString() };
+            // A broken subscriber must not fail the request that published
+            for (const listener of listeners) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    console.error('Event listener failed:', error.message);
+                }
+            }
+            return event;
+        },
+
+        // Returns the function that unsubscribes
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+// Turns the response into a text/event-stream. Returns a function that
+// sends one event; `onClose` runs when the client goes away.
+function openStream(req, res, onClose) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // nginx would otherwise buffer the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        onClose();
+    });
+
+    return event => {
+        res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+}
+
+module.exports = {
+    createEventBus,
+    openStream
+};
@@ -0,0 +1,165 @@
+const { HttpError } = require('./http-error');
+const { dayKey } = require('./dates');
+
+const FORMATS = ['json', 'csv', 'ics'];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function timeOfDay(value) {
+    if (!value) {
+        return '';
+    }
+    const date = new Date(value);
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function decimalHours(seconds) {
+    return (seconds / 3600).toFixed(2);
+}
+
+function hoursAndMinutes(seconds) {
+    const minutes = Math.round(seconds / 60);
+    return `${Math.floor(minutes / 60)}:${pad(minutes % 60)}`;
+}
+
+// Everything a CSV row can hold, in the default column order. `item` is a
+// report item (see reports.buildItems).
+const CSV_COLUMNS = {
+    date: { header: 'Date', value: item => dayKey(item.entry.startTime) },
+    client: { header: 'Client', value: item => item.client ? item.client.name : '' },
+    project: { header: 'Project', value: item => item.project ? item.project.name : 'Deleted project' },
+    description: { header: 'Description', value: item => item.entry.description || '' },
+    start: { header: 'Start', value: item => timeOfDay(item.entry.startTime) },
+    end: { header: 'End', value: item => timeOfDay(item.entry.endTime) },
+    hours: { header: 'Hours', value: item => decimalHours(item.seconds) },
+    duration: { header: 'Duration (h:mm)', value: item => hoursAndMinutes(item.seconds) },
+    rate: { header: 'Rate', value: item => item.rate.toFixed(2) },
+    amount: { header: 'Amount', value: item => item.amount.toFixed(2) },
+    billable: { header: 'Billable', value: item => item.billable ? 'Yes' : 'No' },
+    tags: { header: 'Tags', value: item => item.tags.map(tag => tag.name).join(', ') },
+    user: { header: 'User', value: item => item.user ? item.user.name : 'Former user' }
+};
+
+const DEFAULT_CSV_COLUMNS = ['date', 'client', 'project', 'description', 'start', 'end', 'hours', 'duration', 'rate', 'amount'];
+
+const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+function parseFormat(value = 'json') {
+    if (!FORMATS.includes(value)) {
+        throw new HttpError(400, `format must be one of: ${FORMATS.join(', ')}`);
+    }
+    return value;
+}
+
+// ?columns=date,project,hours
+function parseColumns(value) {
+    if (!value) {
+        return DEFAULT_CSV_COLUMNS;
+    }
+    const columns = String(value).split(',').map(column => column.trim());
+    const unknown = columns.find(column => !CSV_COLUMNS[column]);
+    if (unknown !== undefined) {
+        throw new HttpError(400, `Unknown column "${unknown}"; choose from: ${Object.keys(CSV_COLUMNS).join(', ')}`);
+    }
+    return columns;
+}
+
+// ?delimiter=semicolon suits spreadsheets set up for a decimal comma
+function parseDelimiter(value = 'comma') {
+    if (!DELIMITERS[value]) {
+        throw new HttpError(400, `delimiter must be one of: ${Object.keys(DELIMITERS).join(', ')}`);
+    }
+    return DELIMITERS[value];
+}
+
+function csvCell(value, delimiter) {
+    let text = String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) {
+        text = `'${text}`;
+    }
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CRLF rows and a byte order mark, so Excel opens UTF-8 text correctly
+function toCsv(items, { columns = DEFAULT_CSV_COLUMNS, delimiter = ',' } = {}) {
+    const rows = [
+        columns.map(column => CSV_COLUMNS[column].header),
+        ...[...items]
+            .sort((a, b) => new Date(a.entry.startTime) - new Date(b.entry.startTime))
+            .map(item => columns.map(column => CSV_COLUMNS[column].value(item)))
+    ];
+    return '\uFEFF' + rows.map(row => row.map(cell => csvCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+function icsTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// One event per finished entry; running timers have no end yet
+function toIcs(items, { calendarName = 'Time Tracker', host = 'time-tracker' } = {}) {
+    const stamp = icsTime(new Date());
+    const events = items
+        .filter(item => item.entry.endTime)
+        .flatMap(item => {
+            const projectName = item.project ? item.project.name : 'Deleted project';
+            const title = item.entry.description ? `${projectName}: ${item.entry.description}` : projectName;
+            const details = [item.client && `Client: ${item.client.name}`, `Project: ${projectName}`, `Worked: ${hoursAndMinutes(item.seconds)}`]
+                .filter(Boolean)
+                .join('\n');
+            const categories = [...(item.client ? [item.client.name] : []), ...item.tags.map(tag => tag.name)];
+            return [
+                'BEGIN:VEVENT',
+                `UID:${item.entry.id}@${host}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${icsTime(item.entry.startTime)}`,
+                `DTEND:${icsTime(item.entry.endTime)}`,
+                `SUMMARY:${icsText(title)}`,
+                `DESCRIPTION:${icsText(details)}`,
+                ...(categories.length > 0 ? [`CATEGORIES:${categories.map(icsText).join(',')}`] : []),
+                'END:VEVENT'
+            ];
+        });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Time Tracker Pro//Export//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${icsText(calendarName)}`,
+        ...events,
+        'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    FORMATS,
+    CSV_COLUMNS,
+    DEFAULT_CSV_COLUMNS,
+    parseFormat,
+    parseColumns,
+    parseDelimiter,
+    toCsv,
+    toIcs
+};
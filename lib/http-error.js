@@ -0,0 +1,16 @@
+// Thrown from inside route logic (including storage transactions, which roll
+// back) to answer with a specific status instead of a 500
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+
+    toJSON() {
+        return { error: this.message, ...this.details };
+    }
+}
+
+module.exports = { HttpError };
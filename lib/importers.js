@@ -0,0 +1,400 @@
+const { HttpError } = require('./http-error');
+
+// Turns import files into candidate entries:
+//
+//   { row, startTime, endTime, projectName, clientName, description, tagNames, billable, hourlyRate }
+//
+// or { row, errors: [{ field, message }] } for rows that can't be read.
+// Matching projects, duplicates and validation happen in the route.
+
+const FORMATS = ['time-tracker', 'time-tracker-client', 'csv', 'toggl', 'clockify', 'harvest'];
+const MAPPING_FIELDS = ['date', 'start', 'end', 'endDate', 'duration', 'project', 'client', 'description', 'tags', 'billable'];
+const DATE_FORMATS = ['YMD', 'MDY', 'DMY'];
+
+// Header names tried, in order, when a CSV has no explicit mapping
+const HEADER_ALIASES = {
+    date: ['date', 'start date', 'day'],
+    start: ['start', 'start time', 'from'],
+    end: ['end', 'end time', 'to'],
+    endDate: ['end date'],
+    duration: ['hours', 'duration', 'duration (h)', 'duration (h:mm)', 'time'],
+    project: ['project'],
+    client: ['client', 'customer'],
+    description: ['description', 'notes', 'note', 'task'],
+    tags: ['tags', 'tag'],
+    billable: ['billable', 'billable?']
+};
+
+// Other trackers' CSV exports, recognized by headers only they use
+const PRESETS = {
+    toggl: { signature: ['start date', 'start time', 'end date', 'end time', 'duration'], dateFormat: 'YMD' },
+    clockify: { signature: ['start date', 'start time', 'end date', 'end time', 'duration (h)'], dateFormat: 'MDY' },
+    harvest: { signature: ['date', 'client', 'project', 'task', 'notes', 'hours'], dateFormat: 'YMD' }
+};
+
+// Entries with only a date and a duration are laid end to end from 9:00
+const DEFAULT_DAY_START_HOUR = 9;
+
+function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') {
+                index++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function detectFormat(input) {
+    if (input && typeof input === 'object') {
+        if (Array.isArray(input.entries) && input.version) {
+            return 'time-tracker';
+        }
+        if (Array.isArray(input.timeEntries)) {
+            return 'time-tracker-client';
+        }
+        throw new HttpError(400, 'Unrecognized JSON; expected an /api/export file or a web app export');
+    }
+
+    const [header = []] = parseCsv(input);
+    const names = header.map(name => name.trim().toLowerCase());
+    const preset = Object.keys(PRESETS).find(key => PRESETS[key].signature.every(name => names.includes(name)));
+    return preset || 'csv';
+}
+
+// Header for each field: the explicit mapping wins, then the aliases
+function resolveMapping(header, mapping = {}) {
+    const lower = header.map(name => name.trim().toLowerCase());
+    const result = {};
+
+    for (const field of MAPPING_FIELDS) {
+        if (mapping[field] !== undefined) {
+            const index = lower.indexOf(String(mapping[field]).trim().toLowerCase());
+            if (index === -1) {
+                throw new HttpError(400, `mapping.${field}: there is no "${mapping[field]}" column`);
+            }
+            result[field] = index;
+            continue;
+        }
+        const alias = (HEADER_ALIASES[field] || []).find(name => lower.includes(name));
+        if (alias) {
+            result[field] = lower.indexOf(alias);
+        }
+    }
+
+    if (result.project === undefined) {
+        throw new HttpError(400, 'The CSV needs a project column; map it with mapping.project');
+    }
+    if (result.date === undefined && result.start === undefined) {
+        throw new HttpError(400, 'The CSV needs a date or start column; map it with mapping.date or mapping.start');
+    }
+    return result;
+}
+
+// Rejects impossible days like 2026-02-31 instead of rolling them over
+function validDate(date) {
+    const check = new Date(date.year, date.month - 1, date.day);
+    return check.getMonth() === date.month - 1 && check.getDate() === date.day ? date : null;
+}
+
+function parseDateValue(value, dateFormat) {
+    const text = value.trim();
+    let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+    if (match) {
+        return validDate({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) });
+    }
+    match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+    if (match) {
+        // 03/04/2026 is ambiguous; slashes read as US dates and dots as
+        // European ones unless dateFormat says otherwise
+        const format = dateFormat !== 'YMD' ? dateFormat : (text.includes('.') ? 'DMY' : 'MDY');
+        const [first, second] = [Number(match[1]), Number(match[2])];
+        return validDate(format === 'DMY'
+            ? { year: Number(match[3]), month: second, day: first }
+            : { year: Number(match[3]), month: first, day: second });
+    }
+    return null;
+}
+
+function parseTimeValue(value) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    let hours = Number(match[1]);
+    const meridiem = match[4] && match[4][0].toLowerCase();
+    if (meridiem === 'p' && hours < 12) {
+        hours += 12;
+    } else if (meridiem === 'a' && hours === 12) {
+        hours = 0;
+    }
+    return { hours, minutes: Number(match[2]), seconds: Number(match[3] || 0) };
+}
+
+// "1:30:00", "1:30", "1.5" or "1,5" (hours), in seconds
+function parseDurationValue(value) {
+    const text = value.trim();
+    let match = /^(\d+):(\d{2})(?::(\d{2}))?$/.exec(text);
+    if (match) {
+        return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+    }
+    match = /^\d+(?:[.,]\d+)?$/.exec(text);
+    return match ? Math.round(Number(text.replace(',', '.')) * 3600) : null;
+}
+
+function parseBillableValue(value) {
+    const text = value.trim().toLowerCase();
+    if (['yes', 'true', '1', 'y'].includes(text)) {
+        return true;
+    }
+    if (['no', 'false', '0', 'n'].includes(text)) {
+        return false;
+    }
+    return undefined;
+}
+
+function localDate(date, time) {
+    return new Date(date.year, date.month - 1, date.day, time.hours, time.minutes, time.seconds);
+}
+
+function csvCandidates(text, { mapping, dateFormat }) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        throw new HttpError(400, 'The CSV is empty');
+    }
+    const columns = resolveMapping(header, mapping);
+    const dayCursor = new Map();
+
+    return records.map((cells, index) => {
+        const row = index + 1;
+        const get = field => columns[field] === undefined ? '' : (cells[columns[field]] || '').trim();
+        const errors = [];
+        const fail = (field, message) => errors.push({ field, message });
+
+        // A start column may hold a full timestamp on its own
+        const startStamp = !get('date') && get('start') ? new Date(get('start')) : null;
+        const date = get('date') ? parseDateValue(get('date'), dateFormat) : null;
+        if (get('date') && !date) {
+            fail('date', `"${get('date')}" is not a date`);
+        }
+        const startOfDay = get('start') ? parseTimeValue(get('start')) : null;
+        const endOfDay = get('end') ? parseTimeValue(get('end')) : null;
+        const duration = get('duration') ? parseDurationValue(get('duration')) : null;
+        if (get('duration') && duration === null) {
+            fail('duration', `"${get('duration')}" is not a duration`);
+        }
+
+        let startTime = null;
+        if (startStamp && !Number.isNaN(startStamp.getTime())) {
+            startTime = startStamp;
+        } else if (date && startOfDay) {
+            startTime = localDate(date, startOfDay);
+        } else if (date && get('start')) {
+            fail('start', `"${get('start')}" is not a time of day`);
+        } else if (date && duration !== null) {
+            const key = `${date.year}-${date.month}-${date.day}`;
+            startTime = dayCursor.get(key) || localDate(date, { hours: DEFAULT_DAY_START_HOUR, minutes: 0, seconds: 0 });
+        } else if (!get('date')) {
+            fail('start', 'is missing');
+        }
+
+        let endTime = null;
+        if (startTime && endOfDay) {
+            const endDate = get('endDate') ? parseDateValue(get('endDate'), dateFormat) : date;
+            endTime = endDate ? localDate(endDate, endOfDay) : null;
+            // An end before the start without its own date ran past midnight
+            if (endTime && endTime <= startTime && !get('endDate')) {
+                endTime = new Date(endTime.getTime() + 24 * 60 * 60 * 1000);
+            }
+        } else if (startTime && duration !== null) {
+            endTime = new Date(startTime.getTime() + duration * 1000);
+        } else if (startTime) {
+            fail('end', 'needs an end time or a duration');
+        }
+
+        if (date && startTime && endTime && !startOfDay) {
+            dayCursor.set(`${date.year}-${date.month}-${date.day}`, endTime);
+        }
+        if (!get('project')) {
+            fail('project', 'is missing');
+        }
+        if (errors.length > 0) {
+            return { row, errors };
+        }
+
+        return {
+            row,
+            startTime: startTime.toISOString(),
+            endTime: endTime.toISOString(),
+            projectName: get('project'),
+            clientName: get('client') || null,
+            description: get('description'),
+            tagNames: get('tags') ? get('tags').split(',').map(name => name.trim()).filter(Boolean) : [],
+            billable: get('billable') ? parseBillableValue(get('billable')) : undefined
+        };
+    });
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// JSON exports are files anyone can edit, so the shape is checked before
+// reading it: `listField` has to be a list, and lookup lists that are not
+// lists (or hold things that are not objects) are ignored.
+function assertExportShape(data, format, listField) {
+    if (!isObject(data) || !Array.isArray(data[listField])) {
+        throw new HttpError(400, `A ${format} import is a JSON object with a list of ${listField}`);
+    }
+}
+
+function byId(list) {
+    return new Map((Array.isArray(list) ? list : []).filter(isObject).map(item => [item.id, item]));
+}
+
+// The row as a candidate, or as { row, errors } when the entry is not an
+// object or its text fields are not text
+function exportRow(row, entry, toCandidate) {
+    if (!isObject(entry)) {
+        return { row, errors: [{ field: 'entry', message: 'is not a time entry' }] };
+    }
+    const candidate = { row, ...toCandidate(entry) };
+    const errors = ['startTime', 'endTime', 'projectName', 'clientName', 'description']
+        .filter(field => candidate[field] !== undefined && candidate[field] !== null && typeof candidate[field] !== 'string')
+        .map(field => ({ field, message: 'must be text' }));
+    return errors.length > 0 ? { row, errors } : candidate;
+}
+
+// This app's /api/export JSON: entries point at exported projects and clients
+function exportCandidates(data) {
+    assertExportShape(data, 'time-tracker', 'entries');
+    const projectById = byId(data.projects);
+    const clientById = byId(data.clients);
+    const tagById = byId(data.tags);
+
+    return data.entries.map((item, index) => exportRow(index + 1, item, (entry) => {
+        const project = projectById.get(entry.projectId);
+        const client = project && clientById.get(project.clientId);
+        return {
+            startTime: entry.startTime,
+            endTime: entry.endTime,
+            projectName: project ? project.name : entry.projectName || null,
+            clientName: client ? client.name : null,
+            description: entry.description || '',
+            tagNames: (Array.isArray(entry.tagIds) ? entry.tagIds : [])
+                .map(tagId => tagById.get(tagId))
+                .filter(tag => tag && typeof tag.name === 'string')
+                .map(tag => tag.name),
+            billable: entry.billable,
+            hourlyRate: entry.hourlyRate
+        };
+    }));
+}
+
+// The web app's own download: { timeEntries, projects?, stats }. Old entries
+// may have no end but a duration in milliseconds.
+function clientExportCandidates(data) {
+    assertExportShape(data, 'time-tracker-client', 'timeEntries');
+    const projectById = byId(data.projects);
+
+    return data.timeEntries.map((item, index) => exportRow(index + 1, item, (entry) => {
+        const project = projectById.get(entry.projectId);
+        const start = typeof entry.startTime === 'string' ? new Date(entry.startTime) : null;
+        const endTime = entry.endTime || (start && !Number.isNaN(start.getTime()) && Number.isFinite(entry.duration) && entry.duration > 0
+            ? new Date(start.getTime() + entry.duration).toISOString()
+            : null);
+        return {
+            startTime: entry.startTime,
+            endTime,
+            projectName: project ? project.name : entry.projectName || null,
+            clientName: null,
+            description: entry.description || ''
+        };
+    }));
+}
+
+function parseImport(input, { format, mapping, dateFormat } = {}) {
+    if (input === undefined || input === null || input === '') {
+        throw new HttpError(400, 'Nothing to import; send the file as data');
+    }
+    if (format !== undefined && !FORMATS.includes(format)) {
+        throw new HttpError(400, `format must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (dateFormat !== undefined && !DATE_FORMATS.includes(dateFormat)) {
+        throw new HttpError(400, `dateFormat must be one of: ${DATE_FORMATS.join(', ')}`);
+    }
+    if (mapping !== undefined && (typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).some(field => !MAPPING_FIELDS.includes(field)))) {
+        throw new HttpError(400, `mapping maps ${MAPPING_FIELDS.join(', ')} to column names`);
+    }
+
+    // JSON files uploaded as text still count as JSON
+    let data = input;
+    if (typeof input === 'string' && /^\s*[{[]/.test(input)) {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new HttpError(400, 'The file looks like JSON but could not be parsed');
+        }
+    }
+
+    const detected = format || detectFormat(data);
+    if (detected === 'time-tracker') {
+        return { format: detected, candidates: exportCandidates(data) };
+    }
+    if (detected === 'time-tracker-client') {
+        return { format: detected, candidates: clientExportCandidates(data) };
+    }
+    if (typeof data !== 'string') {
+        throw new HttpError(400, `${detected} imports are CSV text`);
+    }
+
+    const preset = PRESETS[detected];
+    return {
+        format: detected,
+        candidates: csvCandidates(data, { mapping, dateFormat: dateFormat || (preset ? preset.dateFormat : 'YMD') })
+    };
+}
+
+module.exports = {
+    FORMATS,
+    MAPPING_FIELDS,
+    DATE_FORMATS,
+    parseCsv,
+    parseImport
+};
@@ -0,0 +1,157 @@
+const { HttpError } = require('./http-error');
+const billing = require('./billing');
+
+const INVOICE_STATUSES = ['draft', 'sent', 'paid'];
+const GROUP_BY = ['project', 'description'];
+
+// Allowed status changes. Sent invoices can go back to draft for corrections
+// and paid ones back to sent if a payment bounces.
+const TRANSITIONS = {
+    draft: ['sent'],
+    sent: ['paid', 'draft'],
+    paid: ['sent']
+};
+
+function assertTransition(from, to) {
+    if (!INVOICE_STATUSES.includes(to)) {
+        throw new HttpError(400, `Status must be one of: ${INVOICE_STATUSES.join(', ')}`);
+    }
+    if (from !== to && !TRANSITIONS[from].includes(to)) {
+        throw new HttpError(400, `An invoice cannot go from ${from} to ${to}`);
+    }
+}
+
+function formatInvoiceNumber(sequence) {
+    return `INV-${String(sequence).padStart(4, '0')}`;
+}
+
+// One line per project (or description) and rate; entries billed at
+// different rates never share a line. `items` are { entry, seconds }.
+function buildLineItems(items, projectById, groupBy) {
+    const lines = new Map();
+
+    for (const { entry, seconds } of items) {
+        const project = projectById.get(entry.projectId);
+        const rate = billing.resolveRate(entry, project);
+        const projectName = project ? project.name : 'Deleted project';
+        const label = groupBy === 'description'
+            ? (entry.description || '').trim() || projectName
+            : projectName;
+        const key = `${groupBy === 'project' ? entry.projectId : label}|${rate}`;
+
+        if (!lines.has(key)) {
+            lines.set(key, {
+                description: label,
+                projectId: groupBy === 'project' ? entry.projectId : null,
+                seconds: 0,
+                rate,
+                amount: 0,
+                entryIds: []
+            });
+        }
+        const line = lines.get(key);
+        line.seconds += seconds;
+        line.amount = billing.roundMoney(line.amount + billing.entryAmount(entry, project, seconds));
+        line.entryIds.push(entry.id);
+    }
+
+    return [...lines.values()]
+        .map(({ seconds, ...line }) => ({ ...line, quantity: Math.round(seconds / 36) / 100 }))
+        .sort((a, b) => a.description.localeCompare(b.description));
+}
+
+function calculateTotals(lineItems, taxRate = 0) {
+    const subtotal = billing.roundMoney(lineItems.reduce((sum, line) => sum + line.amount, 0));
+    const taxAmount = billing.roundMoney(subtotal * taxRate / 100);
+    return { subtotal, taxRate, taxAmount, total: billing.roundMoney(subtotal + taxAmount) };
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// A self-contained page that prints cleanly; "Save as PDF" in the print
+// dialog gives the PDF
+function renderInvoiceHtml(invoice, { issuer }) {
+    const money = amount => new Intl.NumberFormat('en-US', { style: 'currency', currency: invoice.currency }).format(amount);
+    const date = value => value ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+    const client = invoice.client || {};
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(invoice.number || 'Draft invoice')}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2d3748; max-width: 800px; margin: 40px auto; padding: 0 20px; }
+        header { display: flex; justify-content: space-between; margin-bottom: 40px; }
+        h1 { margin: 0; font-size: 2rem; }
+        .muted { color: #718096; }
+        .status { display: inline-block; padding: 2px 10px; border-radius: 10px; background: #edf2f7; font-size: 0.8rem; text-transform: uppercase; }
+        .parties { display: flex; justify-content: space-between; margin-bottom: 30px; white-space: pre-line; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 10px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+        th { color: #718096; font-weight: 600; font-size: 0.85rem; }
+        .num { text-align: right; white-space: nowrap; }
+        .totals td { border: none; }
+        .totals .grand td { font-size: 1.2rem; font-weight: 700; border-top: 2px solid #2d3748; }
+        .notes { margin-top: 30px; white-space: pre-line; }
+        .print { margin-top: 30px; padding: 10px 20px; }
+        @media print { .print { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <header>
+        <div>
+            <h1>Invoice ${escapeHtml(invoice.number || '')}</h1>
+            <span class="status">${escapeHtml(invoice.status)}</span>
+        </div>
+        <div class="muted" style="text-align: right;">
+            Issued ${escapeHtml(date(invoice.issueDate || invoice.createdAt))}<br>
+            ${invoice.dueDate ? `Due ${escapeHtml(date(invoice.dueDate))}<br>` : ''}
+            Period ${escapeHtml(invoice.from)} – ${escapeHtml(invoice.to)}
+        </div>
+    </header>
+
+    <div class="parties">
+        <div><strong>From</strong><br>${escapeHtml(issuer)}</div>
+        <div style="text-align: right;"><strong>Bill to</strong><br>${escapeHtml(client.name)}${client.email ? '\n' + escapeHtml(client.email) : ''}${client.address ? '\n' + escapeHtml(client.address) : ''}</div>
+    </div>
+
+    <table>
+        <tr><th>Description</th><th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+        ${invoice.lineItems.map(line => `
+        <tr>
+            <td>${escapeHtml(line.description)}</td>
+            <td class="num">${line.quantity.toFixed(2)}</td>
+            <td class="num">${money(line.rate)}</td>
+            <td class="num">${money(line.amount)}</td>
+        </tr>`).join('')}
+    </table>
+
+    <table class="totals">
+        <tr><td></td><td class="num">Subtotal</td><td class="num" style="width: 140px;">${money(invoice.subtotal)}</td></tr>
+        ${invoice.taxRate ? `<tr><td></td><td class="num">Tax (${invoice.taxRate}%)</td><td class="num">${money(invoice.taxAmount)}</td></tr>` : ''}
+        <tr class="grand"><td></td><td class="num">Total</td><td class="num">${money(invoice.total)}</td></tr>
+    </table>
+
+    ${invoice.notes ? `<div class="notes">${escapeHtml(invoice.notes)}</div>` : ''}
+
+    <button class="print" onclick="window.print()">Print / Save as PDF</button>
+</body>
+</html>`;
+}
+
+module.exports = {
+    INVOICE_STATUSES,
+    GROUP_BY,
+    assertTransition,
+    formatInvoiceNumber,
+    buildLineItems,
+    calculateTotals,
+    renderInvoiceHtml
+};
@@ -0,0 +1,69 @@
+const { HttpError } = require('./http-error');
+const { dayKey, monthKey } = require('./dates');
+
+// Weekly timesheets go from submitted to approved or rejected. A rejected
+// week can be fixed and submitted again; a manager can also reject an
+// approved week to reopen it.
+const TIMESHEET_STATUSES = ['submitted', 'approved', 'rejected'];
+
+// While a week waits for review or is approved, its entries stay as they were
+const LOCKING_STATUSES = ['submitted', 'approved'];
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// YYYY-MM, a whole month that exists
+function parseMonth(value, name = 'month') {
+    const match = /^(\d{4})-(\d{2})$/.exec(value);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        throw new HttpError(400, `${name} must be a month (YYYY-MM)`);
+    }
+    return value;
+}
+
+function parseTimesheetStatus(value) {
+    if (value !== undefined && !TIMESHEET_STATUSES.includes(value)) {
+        throw new HttpError(400, `status must be one of: ${TIMESHEET_STATUSES.join(', ')}`);
+    }
+    return value || null;
+}
+
+function parseComment(value, { required = false } = {}) {
+    const comment = value === undefined || value === null ? '' : String(value).trim();
+    if (required && !comment) {
+        throw new HttpError(400, 'A comment is required, so the member knows what to fix');
+    }
+    if (comment.length > MAX_COMMENT_LENGTH) {
+        throw new HttpError(400, `comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    return comment;
+}
+
+// Why a time entry starting at `startTime` can no longer be created, changed
+// or deleted: the month is closed (`closedMonth`, YYYY-MM, and everything
+// before it) or the week is on a submitted or approved timesheet of the
+// entry's owner. Timesheets run from `from` to `to`, both days inclusive.
+// Returns an HttpError to throw, or null.
+function periodLock(startTime, { closedMonth = null, timesheets = [] }) {
+    const day = dayKey(startTime);
+
+    if (closedMonth && monthKey(startTime) <= closedMonth) {
+        return new HttpError(409, `${closedMonth} and earlier months are closed; time there can no longer change`, { closedMonth });
+    }
+    const timesheet = timesheets.find(sheet =>
+        LOCKING_STATUSES.includes(sheet.status) && sheet.from <= day && day <= sheet.to);
+    if (timesheet) {
+        return new HttpError(409, `The week of ${timesheet.from} is ${timesheet.status}; ask a manager to reject it before changing its time`, {
+            timesheetId: timesheet.id
+        });
+    }
+    return null;
+}
+
+module.exports = {
+    TIMESHEET_STATUSES,
+    LOCKING_STATUSES,
+    parseMonth,
+    parseTimesheetStatus,
+    parseComment,
+    periodLock
+};
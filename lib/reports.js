@@ -0,0 +1,242 @@
+const { HttpError } = require('./http-error');
+const billing = require('./billing');
+const { addDays, startOfWeek, dayKey, monthKey } = require('./dates');
+const { entryTagIds } = require('./tags');
+
+const GROUP_BY = ['client', 'project', 'user', 'tag', 'day', 'week', 'month'];
+const TIME_GROUPS = ['day', 'week', 'month'];
+const ROUNDING_MINUTES = [1, 5, 6, 10, 15, 30, 60];
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+const MAX_GROUP_LEVELS = 2;
+
+// ?rounding=15&roundingMode=up. Without rounding durations are exact.
+function parseRounding(query) {
+    if (query.rounding === undefined || query.rounding === '') {
+        return null;
+    }
+
+    const minutes = Number(query.rounding);
+    if (!ROUNDING_MINUTES.includes(minutes)) {
+        throw new HttpError(400, `rounding must be one of: ${ROUNDING_MINUTES.join(', ')} (minutes)`);
+    }
+    const mode = query.roundingMode || 'nearest';
+    if (!ROUNDING_MODES.includes(mode)) {
+        throw new HttpError(400, `roundingMode must be one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+    return { minutes, mode };
+}
+
+// Each entry is rounded on its own, the way time is usually billed
+function roundSeconds(seconds, rounding) {
+    if (!rounding) {
+        return seconds;
+    }
+    const step = rounding.minutes * 60;
+    const round = { nearest: Math.round, up: Math.ceil, down: Math.floor }[rounding.mode];
+    return round(seconds / step) * step;
+}
+
+// ?groupBy=client,project nests projects under clients
+function parseGroupBy(value = 'project') {
+    const levels = String(value).split(',').map(level => level.trim());
+    if (levels.length > MAX_GROUP_LEVELS || new Set(levels).size !== levels.length) {
+        throw new HttpError(400, `groupBy takes up to ${MAX_GROUP_LEVELS} different groupings, e.g. client,project`);
+    }
+    const unknown = levels.find(level => !GROUP_BY.includes(level));
+    if (unknown !== undefined) {
+        throw new HttpError(400, `groupBy must be one of: ${GROUP_BY.join(', ')}`);
+    }
+    return levels;
+}
+
+// One report line per entry. `rows` are { entry, seconds } with the worked
+// seconds; projects carry their clientRate (see getBillingProjects).
+// Deleted tags are dropped.
+function buildItems(rows, { projectById, clientById, userById, tagById = new Map(), rounding }) {
+    return rows.map(({ entry, seconds }) => {
+        const project = projectById.get(entry.projectId);
+        const rounded = roundSeconds(seconds, rounding);
+        return {
+            entry,
+            project,
+            client: project ? clientById.get(project.clientId) : undefined,
+            user: userById.get(entry.userId),
+            tags: entryTagIds(entry).map(tagId => tagById.get(tagId)).filter(Boolean),
+            rawSeconds: seconds,
+            seconds: rounded,
+            billable: billing.isBillable(entry, project),
+            rate: billing.resolveRate(entry, project),
+            amount: billing.entryAmount(entry, project, rounded)
+        };
+    });
+}
+
+function sumItems(items) {
+    return items.reduce((totals, item) => {
+        totals.duration += item.seconds;
+        if (item.billable) {
+            totals.billableDuration += item.seconds;
+        }
+        totals.amount = billing.roundMoney(totals.amount + item.amount);
+        totals.entriesCount++;
+        return totals;
+    }, { duration: 0, billableDuration: 0, amount: 0, entriesCount: 0 });
+}
+
+function groupOf(item, dimension, weekStart) {
+    const start = new Date(item.entry.startTime);
+
+    switch (dimension) {
+        case 'client':
+            return item.client
+                ? { key: item.client.id, label: item.client.name }
+                : { key: null, label: 'No client' };
+        case 'project':
+            return item.project
+                ? { key: item.project.id, label: item.project.name, color: item.project.color || null, clientId: item.project.clientId || null }
+                : { key: item.entry.projectId, label: 'Deleted project', color: null, clientId: null };
+        case 'user':
+            return { key: item.entry.userId, label: item.user ? item.user.name : 'Former user' };
+        case 'tag':
+            return { key: null, label: 'No tag', color: null };
+        case 'day':
+            return { key: dayKey(start), label: dayKey(start) };
+        case 'week': {
+            const key = dayKey(startOfWeek(start, weekStart));
+            return { key, label: `Week of ${key}` };
+        }
+        case 'month':
+            return { key: monthKey(start), label: monthKey(start) };
+    }
+}
+
+// An entry with several tags belongs to each of their groups; every other
+// dimension puts it in exactly one
+function groupsOf(item, dimension, weekStart) {
+    if (dimension === 'tag' && item.tags.length > 0) {
+        return item.tags.map(tag => ({ key: tag.id, label: tag.name, color: tag.color }));
+    }
+    return [groupOf(item, dimension, weekStart)];
+}
+
+// Every day, week or month of the range, so charts show the gaps too
+function timeBuckets(dimension, { from, to }, weekStart) {
+    const buckets = [];
+    let date = dimension === 'week' ? startOfWeek(from, weekStart)
+        : dimension === 'month' ? new Date(from.getFullYear(), from.getMonth(), 1)
+            : from;
+
+    while (date < to) {
+        buckets.push(groupOf({ entry: { startTime: date.toISOString() } }, dimension, weekStart));
+        date = dimension === 'day' ? addDays(date, 1)
+            : dimension === 'week' ? addDays(date, 7)
+                : new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    }
+    return buckets;
+}
+
+// Totals per group, nested one level per entry of `groupBy`. Time groups run
+// in calendar order, the others from the most time to the least. Tag groups
+// can add up to more than the total, as entries count under each tag.
+function summarize(items, groupBy, { range = null, weekStart = 0 } = {}) {
+    const [dimension, ...rest] = groupBy;
+    const groups = new Map();
+    const add = ({ key, ...info }) => {
+        if (!groups.has(key)) {
+            groups.set(key, { key, ...info, items: [] });
+        }
+        return groups.get(key);
+    };
+
+    // Only the top level is filled in, nested gaps would mostly be noise
+    if (range && TIME_GROUPS.includes(dimension)) {
+        timeBuckets(dimension, range, weekStart).forEach(add);
+    }
+    for (const item of items) {
+        groupsOf(item, dimension, weekStart).forEach(group => add(group).items.push(item));
+    }
+
+    const isTime = TIME_GROUPS.includes(dimension);
+    return [...groups.values()]
+        .map(({ items: groupItems, ...group }) => ({
+            ...group,
+            ...sumItems(groupItems),
+            ...(rest.length > 0 && { groups: summarize(groupItems, rest, { weekStart }) })
+        }))
+        .sort((a, b) => isTime ? a.key.localeCompare(b.key) : b.duration - a.duration || a.label.localeCompare(b.label));
+}
+
+// One row per entry, oldest first
+function detailRows(items) {
+    return [...items]
+        .sort((a, b) => new Date(a.entry.startTime) - new Date(b.entry.startTime))
+        .map(item => ({
+            id: item.entry.id,
+            date: dayKey(item.entry.startTime),
+            startTime: item.entry.startTime,
+            endTime: item.entry.endTime,
+            userId: item.entry.userId,
+            userName: item.user ? item.user.name : 'Former user',
+            clientId: item.client ? item.client.id : null,
+            clientName: item.client ? item.client.name : null,
+            projectId: item.entry.projectId,
+            projectName: item.project ? item.project.name : 'Deleted project',
+            description: item.entry.description || '',
+            tags: item.tags.map(({ id, name, color }) => ({ id, name, color })),
+            duration: item.seconds,
+            rawDuration: item.rawSeconds,
+            billable: item.billable,
+            rate: item.rate,
+            amount: item.amount,
+            invoiceId: item.entry.invoiceId || null
+        }));
+}
+
+// Projects down the side, the seven days of the week across
+function timesheetGrid(items, weekFrom) {
+    const days = Array.from({ length: 7 }, (unused, index) => dayKey(addDays(weekFrom, index)));
+    const rows = new Map();
+
+    for (const item of items) {
+        const { key, label, color } = groupOf(item, 'project');
+        if (!rows.has(key)) {
+            rows.set(key, {
+                projectId: key,
+                projectName: label,
+                clientName: item.client ? item.client.name : null,
+                color,
+                days: days.map(() => 0),
+                total: 0,
+                amount: 0
+            });
+        }
+        const row = rows.get(key);
+        const column = days.indexOf(dayKey(item.entry.startTime));
+        row.days[column] += item.seconds;
+        row.total += item.seconds;
+        row.amount = billing.roundMoney(row.amount + item.amount);
+    }
+
+    const sortedRows = [...rows.values()].sort((a, b) =>
+        (a.clientName || '').localeCompare(b.clientName || '') || a.projectName.localeCompare(b.projectName));
+    return {
+        days,
+        rows: sortedRows,
+        dayTotals: days.map((day, column) => sortedRows.reduce((sum, row) => sum + row.days[column], 0)),
+        total: sortedRows.reduce((sum, row) => sum + row.total, 0)
+    };
+}
+
+module.exports = {
+    GROUP_BY,
+    ROUNDING_MINUTES,
+    ROUNDING_MODES,
+    parseRounding,
+    roundSeconds,
+    parseGroupBy,
+    buildItems,
+    sumItems,
+    summarize,
+    detailRows,
+    timesheetGrid
+};
@@ -0,0 +1,43 @@
+const { HttpError } = require('./http-error');
+
+// Hex colors, for tags and projects alike
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const DEFAULT_COLOR = '#718096';
+const MAX_NAME_LENGTH = 50;
+
+// Tag fields from a request body. Only the fields present are returned, so
+// the result can be spread over an existing tag.
+function parseTagFields(body, { requireName = false } = {}) {
+    const result = {};
+
+    if (body.name !== undefined || requireName) {
+        const name = String(body.name || '').trim();
+        if (!name) {
+            throw new HttpError(400, 'Tag name is required');
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new HttpError(400, `Tag names are at most ${MAX_NAME_LENGTH} characters`);
+        }
+        result.name = name;
+    }
+    if (body.color !== undefined) {
+        if (!COLOR_PATTERN.test(body.color)) {
+            throw new HttpError(400, 'Color must be a hex color such as #3B82F6');
+        }
+        result.color = body.color;
+    }
+
+    return result;
+}
+
+// Entries from before tags existed have no tagIds
+function entryTagIds(entry) {
+    return entry.tagIds || [];
+}
+
+module.exports = {
+    COLOR_PATTERN,
+    DEFAULT_COLOR,
+    parseTagFields,
+    entryTagIds
+};
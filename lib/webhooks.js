@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http-error');
+
+// Change events (see events.js) that can be sent to webhooks
+const WEBHOOK_EVENTS = [
+    'timer.started',
+    'timer.stopped',
+    'entry.created',
+    'entry.updated',
+    'entry.deleted',
+    'project.created',
+    'project.deleted'
+];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const MAX_DESCRIPTION_LENGTH = 200;
+// Older finished deliveries are pruned from each webhook's log
+const MAX_LOGGED_DELIVERIES = 100;
+// Enough of the receiver's answer to debug with
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Webhook fields from a request body. Only the fields present are returned,
+// so the result can be spread over an existing webhook.
+function parseWebhookFields(body, { requireUrl = false } = {}) {
+    const result = {};
+
+    if (body.url !== undefined || requireUrl) {
+        let url;
+        try {
+            url = new URL(String(body.url || ''));
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new HttpError(400, 'url must be an http or https URL');
+        }
+        result.url = url.toString();
+    }
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0) {
+            throw new HttpError(400, `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+        const unknown = body.events.find(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown !== undefined) {
+            throw new HttpError(400, `Unknown event "${unknown}"; choose from: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+        result.events = [...new Set(body.events)];
+    }
+    if (body.description !== undefined) {
+        const description = body.description === null ? '' : String(body.description).trim();
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new HttpError(400, `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        result.description = description;
+    }
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+            throw new HttpError(400, 'active must be true or false');
+        }
+        result.active = body.active;
+    }
+
+    return result;
+}
+
+// The secret only ever leaves the server when it is created or rotated
+function publicWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+// sha256=<hex HMAC of "<timestamp>.<body>">. Signing the timestamp too lets
+// receivers reject old deliveries replayed at them.
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Sends change events to the workspace's webhooks and keeps a delivery log
+// in storage. Each delivery is tried up to `maxAttempts` times; the wait
+// before retry n is retryBaseSeconds * 4^(n - 1), so 10 s, 40 s, 160 s and
+// so on by default. Pending retries survive a restart (see resumePending).
+function createWebhookDispatcher(storage, { generateId, timeoutMs, retryBaseSeconds, maxAttempts }) {
+    const timers = new Map();
+
+    function schedule(delivery) {
+        clearTimeout(timers.get(delivery.id));
+        const wait = Math.max(0, new Date(delivery.nextAttemptAt) - Date.now());
+        const timer = setTimeout(() => {
+            timers.delete(delivery.id);
+            attempt(delivery.id).catch(error => console.error('Webhook delivery failed:', error.message));
+        }, wait);
+        timer.unref();
+        timers.set(delivery.id, timer);
+    }
+
+    async function post(webhook, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'TimeTracker-Webhooks/1.0',
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            const text = await response.text().catch(() => '');
+            return {
+                ok: response.status >= 200 && response.status < 300,
+                statusCode: response.status,
+                response: text.slice(0, MAX_RESPONSE_LENGTH),
+                durationMs: Date.now() - started
+            };
+        } catch (error) {
+            const message = error.name === 'TimeoutError' ? `No response within ${timeoutMs} ms` : (error.cause && error.cause.message) || error.message;
+            return { ok: false, statusCode: null, error: message, durationMs: Date.now() - started };
+        }
+    }
+
+    // One try, then either done or scheduled again
+    async function attempt(deliveryId) {
+        const { delivery, webhook } = await storage.transaction(async (tx) => {
+            const found = await tx.get('webhookDeliveries', deliveryId);
+            return { delivery: found, webhook: found && await tx.get('webhooks', found.webhookId) };
+        });
+        if (!delivery || delivery.status !== 'pending') {
+            return null;
+        }
+
+        const result = webhook && webhook.active
+            ? await post(webhook, delivery)
+            : { ok: false, statusCode: null, error: webhook ? 'Webhook is disabled' : 'Webhook was deleted', durationMs: 0, final: true };
+        const attempts = [...delivery.attempts, {
+            at: new Date().toISOString(),
+            statusCode: result.statusCode,
+            durationMs: result.durationMs,
+            ...(result.error ? { error: result.error } : { response: result.response })
+        }];
+        const retry = !result.ok && !result.final && attempts.length < maxAttempts;
+        const now = new Date().toISOString();
+        const updated = {
+            ...delivery,
+            attempts,
+            status: result.ok ? 'succeeded' : retry ? 'pending' : 'failed',
+            nextAttemptAt: retry ? new Date(Date.now() + retryBaseSeconds * 1000 * 4 ** (attempts.length - 1)).toISOString() : null,
+            ...(!retry && { completedAt: now })
+        };
+
+        await storage.transaction(async (tx) => {
+            await tx.update('webhookDeliveries', updated);
+            const current = await tx.get('webhooks', delivery.webhookId);
+            if (current && !retry) {
+                await tx.update('webhooks', { ...current, lastDeliveryAt: now, lastDeliveryStatus: updated.status });
+            }
+        });
+        if (retry) {
+            schedule(updated);
+        }
+        return updated;
+    }
+
+    async function pruneLog(tx, webhookId) {
+        const finished = (await tx.list('webhookDeliveries', { webhookId })).filter(delivery => delivery.status !== 'pending');
+        for (const delivery of finished.slice(0, Math.max(0, finished.length - MAX_LOGGED_DELIVERIES))) {
+            await tx.remove('webhookDeliveries', delivery.id);
+        }
+    }
+
+    // Queues `payload` for each webhook and tries them straight away
+    async function enqueue(webhooks, event, payload) {
+        const now = new Date().toISOString();
+        const deliveries = await storage.transaction(async (tx) => {
+            const created = [];
+            for (const webhook of webhooks) {
+                created.push(await tx.insert('webhookDeliveries', {
+                    id: generateId(),
+                    webhookId: webhook.id,
+                    workspaceId: webhook.workspaceId,
+                    event,
+                    payload,
+                    status: 'pending',
+                    attempts: [],
+                    nextAttemptAt: now,
+                    createdAt: now
+                }));
+                await pruneLog(tx, webhook.id);
+            }
+            return created;
+        });
+        deliveries.forEach(schedule);
+        return deliveries;
+    }
+
+    // Subscribe this to the event bus
+    async function handleEvent(event) {
+        if (!WEBHOOK_EVENTS.includes(event.type) || !event.workspaceId) {
+            return;
+        }
+        const webhooks = (await storage.list('webhooks', { workspaceId: event.workspaceId }))
+            .filter(webhook => webhook.active && webhook.events.includes(event.type));
+        if (webhooks.length > 0) {
+            await enqueue(webhooks, event.type, {
+                id: generateId(),
+                event: event.type,
+                workspaceId: event.workspaceId,
+                userId: event.userId,
+                createdAt: event.at,
+                data: event.data
+            });
+        }
+    }
+
+    // A test event, sent whatever the webhook subscribes to
+    async function ping(webhook) {
+        const [delivery] = await enqueue([webhook], 'ping', {
+            id: generateId(),
+            event: 'ping',
+            workspaceId: webhook.workspaceId,
+            createdAt: new Date().toISOString(),
+            data: { webhookId: webhook.id, events: webhook.events }
+        });
+        return delivery;
+    }
+
+    // The same payload again, as a new delivery
+    async function redeliver(webhook, delivery) {
+        const [created] = await enqueue([webhook], delivery.event, delivery.payload);
+        return created;
+    }
+
+    // Retries that were waiting when the server stopped
+    async function resumePending() {
+        const pending = await storage.list('webhookDeliveries', { status: 'pending' });
+        pending.forEach(schedule);
+        return pending.length;
+    }
+
+    return { handleEvent, ping, redeliver, resumePending };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    parseWebhookFields,
+    publicWebhook,
+    sign,
+    createWebhookDispatcher
+};
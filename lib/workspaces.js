@@ -0,0 +1,64 @@
+const { HttpError } = require('./http-error');
+
+const WORKSPACE_ROLES = ['manager', 'member'];
+
+// The workspace a request works in: the X-Workspace-Id header (or
+// ?workspaceId=), otherwise the user's oldest membership. Sets req.workspace
+// and req.membership. Server admins may enter any workspace as a manager.
+function createWorkspaceResolver(storage) {
+    return async function resolveWorkspace(req, res, next) {
+        try {
+            // Cached API responses must not leak from one workspace to another
+            res.vary('X-Workspace-Id');
+
+            const requestedId = req.get('X-Workspace-Id') || req.query.workspaceId;
+            const memberships = await storage.list('memberships', { userId: req.user.id });
+
+            let membership = requestedId
+                ? memberships.find(item => item.workspaceId === requestedId)
+                : memberships[0];
+
+            if (!membership && requestedId && req.user.role === 'admin') {
+                membership = { workspaceId: requestedId, userId: req.user.id, role: 'manager' };
+            }
+            if (!membership) {
+                throw requestedId
+                    ? new HttpError(404, 'Workspace not found')
+                    : new HttpError(403, 'You are not a member of any workspace');
+            }
+
+            const workspace = await storage.get('workspaces', membership.workspaceId);
+            if (!workspace) {
+                throw new HttpError(404, 'Workspace not found');
+            }
+
+            req.workspace = workspace;
+            req.membership = membership;
+            next();
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return res.status(error.status).json(error);
+            }
+            next(error);
+        }
+    };
+}
+
+// Server admins count as managers of every workspace
+function isManager(req) {
+    return req.user.role === 'admin' || (req.membership && req.membership.role === 'manager');
+}
+
+function requireManager(req, res, next) {
+    if (!isManager(req)) {
+        return res.status(403).json({ error: 'Only workspace managers can do this' });
+    }
+    next();
+}
+
+module.exports = {
+    WORKSPACE_ROLES,
+    createWorkspaceResolver,
+    isManager,
+    requireManager
+};
@@ -1,4 +1,10 @@
-const CACHE_NAME = 'time-tracker-v1';
+// Bump CACHE_VERSION whenever the app shell changes; the new worker precaches
+// it under fresh cache names and the old caches are removed on activate.
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `time-tracker-shell-${CACHE_VERSION}`;
+const API_CACHE = `time-tracker-api-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, API_CACHE];
+
 const urlsToCache = [
   '/',
   '/manifest.json',
@@ -6,19 +12,119 @@ const urlsToCache = [
   '/icon-512.png'
 ];
 
+// Live timer state must never come from a cache, and the event stream
+// never ends, so it can't be cached at all
+const UNCACHED_API_PATHS = [
+  '/api/extension/',
+  '/api/events',
+  '/api/health'
+];
+
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
+    caches.open(SHELL_CACHE)
       .then((cache) => cache.addAll(urlsToCache))
   );
+  // No skipWaiting() here: the page asks the user before switching versions
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => !CURRENT_CACHES.includes(name))
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
 });
 
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        return response || fetch(event.request);
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Writes go straight to the network; the page queues them when offline
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    if (!UNCACHED_API_PATHS.some((path) => url.pathname.startsWith(path))) {
+      event.respondWith(networkFirst(request));
+    }
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(request));
+});
+
+// API reads: always ask the server first and only fall back to the last good
+// response when offline. Fallbacks are flagged so the page knows it is stale.
+function networkFirst(request) {
+  return fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(API_CACHE).then((cache) => cache.put(request, copy));
       }
-    )
-  );
-});
\ No newline at end of file
+      return response;
+    })
+    .catch((error) => caches.open(API_CACHE)
+      .then((cache) => cache.match(request))
+      .then((cached) => {
+        if (!cached) {
+          throw error;
+        }
+
+        const headers = new Headers(cached.headers);
+        headers.set('X-From-Cache', 'true');
+        return cached.blob().then((body) => new Response(body, {
+          status: cached.status,
+          statusText: cached.statusText,
+          headers
+        }));
+      }));
+}
+
+// App shell: answer from the versioned cache and refresh it in the background
+function staleWhileRevalidate(request) {
+  return caches.open(SHELL_CACHE).then((cache) => {
+    return cache.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            cache.put(request, response.clone());
+          }
+          return response;
+        })
+        .catch(() => {
+          // Offline navigation to a page we never cached still gets the app
+          if (request.mode === 'navigate') {
+            return cache.match('/').then((shell) => shell || Response.error());
+          }
+          return Response.error();
+        });
+
+      return cached || network;
+    });
+  });
+}
+
+// Background Sync: queued writes live in the page's localStorage, where the
+// conflict resolution UI also lives, so wake any open page to replay them.
+// Without an open page the queue is flushed the next time the app loads.
+self.addEventListener('sync', (event) => {
+  if (event.tag === 'sync-queue') {
+    event.waitUntil(
+      self.clients.matchAll({ type: 'window' })
+        .then((clients) => clients.forEach((client) => client.postMessage({ type: 'flush-sync-queue' })))
+    );
+  }
+});
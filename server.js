@@ -1,416 +1,3284 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
-const fs = require('fs').promises;
+const config = require('./config');
+const { createStorage } = require('./storage');
+const { createBackupManager } = require('./storage/backups');
+const { HttpError } = require('./lib/http-error');
+const auth = require('./lib/auth');
+const workspaces = require('./lib/workspaces');
+const billing = require('./lib/billing');
+const invoices = require('./lib/invoices');
+const clients = require('./lib/clients');
+const tags = require('./lib/tags');
+const entrySchema = require('./lib/entries');
+const { parseWeekStart, addDays, startOfWeek, dayKey, parseDay, getDateRange, isInRange } = require('./lib/dates');
+const reports = require('./lib/reports');
+const exportFormats = require('./lib/exports');
+const importers = require('./lib/importers');
+const events = require('./lib/events');
+const periods = require('./lib/periods');
+const audit = require('./lib/audit');
+const webhooks = require('./lib/webhooks');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // Middleware
-app.use(cors());
+// Only this app's own pages, browser extensions and configured origins may
+// call the API from a browser
+app.use(cors({
+    origin: (origin, callback) => {
+        const allowed = !origin
+            || /^(chrome|moz)-extension:\/\//.test(origin)
+            || config.corsOrigins.includes(origin);
+        callback(null, allowed);
+    }
+}));
+// Imports carry whole exports, and CSV may be sent as is
+app.use('/api/import',
+    express.json({ limit: config.importLimit }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: config.importLimit }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Data file paths
-const DATA_DIR = path.join(__dirname, 'data');
-const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
-const ENTRIES_FILE = path.join(DATA_DIR, 'entries.json');
+// Storage (JSON files or SQLite, see config.js)
+const DATA_DIR = config.dataDir;
+// The audit log is only ever added to (see lib/audit.js)
+const APPEND_ONLY_COLLECTIONS = ['audit'];
+const storage = createStorage({ ...config.storage, dataDir: DATA_DIR, appendOnly: APPEND_ONLY_COLLECTIONS });
+const backups = createBackupManager(storage, { ...config.backups, appendOnly: APPEND_ONLY_COLLECTIONS });
+const eventBus = events.createEventBus();
+const auditTrail = audit.createAuditTrail({ generateId });
+const webhookDispatcher = webhooks.createWebhookDispatcher(storage, { ...config.webhooks, generateId });
+eventBus.subscribe(event => {
+    webhookDispatcher.handleEvent(event).catch(error => console.error('Webhook dispatch failed:', error.message));
+});
+
+function defaultProjects() {
+    return [
+        { id: '1', name: 'Client A - Bookkeeping', color: '#3B82F6', createdAt: new Date().toISOString() },
+        { id: '2', name: 'Client B - Tax Prep', color: '#10B981', createdAt: new Date().toISOString() },
+        { id: '3', name: 'Client C - Payroll', color: '#F59E0B', createdAt: new Date().toISOString() }
+    ];
+}
+
+// Initialize default data
+async function initializeData() {
+    // Projects are seeded only on first run; entries start empty
+    await storage.init({
+        projects: defaultProjects(),
+        entries: []
+    });
+    await migrateToWorkspaces();
+    await runMigration('clients-from-project-names', async (tx) => {
+        for (const workspace of await tx.list('workspaces')) {
+            await extractClients(tx, workspace.id);
+        }
+    });
+    await runMigration('entry-durations-in-seconds', normalizeEntryDurations);
+}
+
+// One-off data migrations, recorded by name so they never run twice
+async function runMigration(name, migrate) {
+    await auditedTransaction(audit.SYSTEM_ACTOR, async (tx) => {
+        if (await tx.get('migrations', name)) {
+            return;
+        }
+        await migrate(tx);
+        await tx.insert('migrations', { id: name, appliedAt: new Date().toISOString() });
+        console.log('Applied migration:', name);
+    });
+}
+
+// Turns projects named "Client X - Service" into a client "Client X" with a
+// project "Service", reusing clients that already exist by name
+async function extractClients(tx, workspaceId) {
+    const existingClients = await tx.list('clients', { workspaceId });
+    const projects = (await tx.list('projects', { workspaceId })).filter(project => !project.clientId);
+
+    for (const project of projects) {
+        const parsed = clients.splitProjectName(project.name);
+        if (!parsed) {
+            continue;
+        }
+
+        let client = existingClients.find(item => item.name.toLowerCase() === parsed.client.toLowerCase());
+        if (!client) {
+            client = await tx.insert('clients', {
+                id: generateId(),
+                workspaceId,
+                name: parsed.client,
+                contactName: '',
+                email: '',
+                phone: '',
+                address: '',
+                defaultRate: null,
+                currency: null,
+                createdAt: new Date().toISOString()
+            });
+            existingClients.push(client);
+        }
+        await tx.update('projects', { ...project, clientId: client.id, name: parsed.service });
+    }
+}
+
+// Entries saved by the old web app kept `duration` in milliseconds and
+// sometimes no endTime; timer entries use seconds. Every finished entry now
+// has an endTime and a duration in seconds derived from it.
+async function normalizeEntryDurations(tx) {
+    for (const entry of await tx.list('entries')) {
+        if (isActive(entry) || !entry.startTime) {
+            continue;
+        }
+
+        const normalized = { ...entry, status: 'completed' };
+        if (!entry.endTime) {
+            // Without a status the entry predates the server timer
+            const durationMs = entry.status ? (entry.duration || 0) * 1000 : (entry.duration || 0);
+            normalized.endTime = new Date(new Date(entry.startTime).getTime() + durationMs).toISOString();
+        }
+        Object.assign(normalized, calculateDurations(normalized));
+
+        if (normalized.duration !== entry.duration || normalized.endTime !== entry.endTime || entry.status !== 'completed') {
+            await tx.update('entries', normalized);
+        }
+    }
+}
+
+// Data from before workspaces existed (and anything restored from an old
+// backup) belongs to the first workspace. On the very first run every
+// existing account joins it too.
+async function migrateToWorkspaces() {
+    await auditedTransaction(audit.SYSTEM_ACTOR, async (tx) => {
+        let [workspace] = await tx.list('workspaces');
+        const isNew = !workspace;
+
+        if (isNew) {
+            workspace = await tx.insert('workspaces', {
+                id: generateId(),
+                name: 'My Workspace',
+                createdAt: new Date().toISOString()
+            });
+            console.log('Created default workspace:', workspace.id);
+        }
+
+        for (const collection of ['projects', 'entries']) {
+            const orphans = (await tx.list(collection)).filter(doc => !doc.workspaceId);
+            for (const doc of orphans) {
+                await tx.update(collection, { ...doc, workspaceId: workspace.id });
+            }
+        }
+
+        if (isNew) {
+            for (const user of await tx.list('users')) {
+                await addMembership(tx, workspace.id, user.id, user.role === 'admin' ? 'manager' : 'member');
+            }
+        }
+    });
+}
+
+// Route errors: HttpErrors carry their own status, anything else is a 500
+function sendError(res, error, context) {
+    if (error instanceof HttpError) {
+        return res.status(error.status).json(error);
+    }
+    console.error(`${context} error:`, error);
+    res.status(500).json({ error: error.message });
+}
+
+// Announces a saved change to open clients (see /api/events). Entries and
+// timers concern their owner; projects the whole workspace.
+function publishEntry(type, entry) {
+    eventBus.publish(type, { workspaceId: entry.workspaceId, userId: entry.userId, data: entry });
+}
+
+function publishProject(type, project) {
+    eventBus.publish(type, { workspaceId: project.workspaceId, data: project });
+}
+
+// storage.transaction for changes made by `actor` (a user, or
+// audit.SYSTEM_ACTOR): every write to entries, projects, clients, tags and
+// workspaces is recorded in the audit log as part of the same transaction
+function auditedTransaction(actor, fn) {
+    return storage.transaction(tx => fn(auditTrail.track(tx, actor)));
+}
+
+// Utility function to generate unique IDs
+function generateId() {
+    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+// Worked and break time for an entry, in seconds. Breaks are the segments
+// between pause and resume; an open segment runs until the entry ends (or now).
+// Segments are clipped to the entry, so moving its start or end never
+// counts a break twice.
+function calculateDurations(entry, now = new Date()) {
+    const start = new Date(entry.startTime);
+    const end = entry.endTime ? new Date(entry.endTime) : now;
+    const totalMs = Math.max(0, end - start);
+    const breakMs = (entry.breaks || []).reduce((sum, segment) => {
+        const segmentStart = Math.max(start, new Date(segment.startTime));
+        const segmentEnd = Math.min(end, segment.endTime ? new Date(segment.endTime) : end);
+        return sum + Math.max(0, segmentEnd - segmentStart);
+    }, 0);
+
+    return {
+        duration: Math.floor(Math.max(0, totalMs - breakMs) / 1000),
+        breakDuration: Math.floor(breakMs / 1000)
+    };
+}
+
+// The timer is either running or paused; only one can be active at a time
+function isActive(entry) {
+    return entry.status === 'running' || entry.status === 'paused';
+}
+
+function findActiveEntry(entries) {
+    return entries.find(isActive);
+}
+
+function completeEntry(entry, endTime = new Date().toISOString()) {
+    const openBreak = (entry.breaks || []).find(segment => !segment.endTime);
+    if (openBreak) {
+        openBreak.endTime = endTime;
+    }
+
+    entry.endTime = endTime;
+    entry.status = 'completed';
+    entry.updatedAt = new Date().toISOString();
+    Object.assign(entry, calculateDurations(entry));
+    return entry;
+}
+
+// Hours a timer may stay active before the server stops it; 0 means never
+function workspaceMaxTimerHours(workspace) {
+    return workspace && workspace.maxTimerHours !== undefined && workspace.maxTimerHours !== null
+        ? workspace.maxTimerHours
+        : config.timer.maxHours;
+}
+
+// Forgotten timers: a running or paused timer past its workspace's limit is
+// stopped where the limit ran out (not now, so a weekend doesn't count) and
+// flagged for review
+async function autoStopTimers(now = new Date()) {
+    const stopped = await auditedTransaction(audit.SYSTEM_ACTOR, async (tx) => {
+        const active = [
+            ...await tx.list('entries', { status: 'running' }),
+            ...await tx.list('entries', { status: 'paused' })
+        ];
+        const result = [];
+        for (const entry of active) {
+            const maxHours = workspaceMaxTimerHours(await tx.get('workspaces', entry.workspaceId));
+            const limit = new Date(new Date(entry.startTime).getTime() + maxHours * 60 * 60 * 1000);
+            if (!maxHours || limit > now) {
+                continue;
+            }
+            entry.breaks = (entry.breaks || []).filter(segment => new Date(segment.startTime) < limit);
+            completeEntry(entry, limit.toISOString());
+            result.push(await tx.update('entries', { ...entry, autoStopped: true, needsReview: true }));
+        }
+        return result;
+    });
+
+    for (const entry of stopped) {
+        console.log('Auto-stopped forgotten timer:', entry.id);
+        publishEntry('timer.stopped', entry);
+    }
+    return stopped;
+}
+
+// Offline clients send back the version they last saw; a mismatch means
+// someone else changed the entry in the meantime
+function hasConflict(entry, baseUpdatedAt) {
+    return Boolean(baseUpdatedAt) && baseUpdatedAt !== (entry.updatedAt || entry.createdAt);
+}
+
+// Active entries carry their live totals so clients don't have to guess
+function withLiveDurations(entry) {
+    return entry ? { ...entry, ...calculateDurations(entry) } : null;
+}
+
+// The entry must belong to the user; admins may reach anyone's entries
+async function getOwnedEntry(tx, id, user) {
+    const entry = await tx.get('entries', id);
+    if (!entry || (entry.userId !== user.id && user.role !== 'admin')) {
+        throw new HttpError(404, 'Time entry not found');
+    }
+    return entry;
+}
+
+function addMembership(tx, workspaceId, userId, role) {
+    return tx.insert('memberships', {
+        id: generateId(),
+        workspaceId,
+        userId,
+        role,
+        createdAt: new Date().toISOString()
+    });
+}
+
+// The workspace must exist and the user must belong to it (admins reach
+// every workspace); managing it needs the manager role
+async function getWorkspaceAccess(tx, workspaceId, user, { manage = false } = {}) {
+    const workspace = await tx.get('workspaces', workspaceId);
+    const [membership] = workspace ? await tx.list('memberships', { workspaceId, userId: user.id }) : [];
+
+    if (!workspace || (!membership && user.role !== 'admin')) {
+        throw new HttpError(404, 'Workspace not found');
+    }
+    if (manage && user.role !== 'admin' && membership.role !== 'manager') {
+        throw new HttpError(403, 'Only workspace managers can do this');
+    }
+    return workspace;
+}
+
+// Every workspace keeps at least one manager
+async function ensureManagerRemains(tx, workspaceId, changedUserId) {
+    const managers = (await tx.list('memberships', { workspaceId, role: 'manager' }))
+        .filter(membership => membership.userId !== changedUserId);
+    if (managers.length === 0) {
+        throw new HttpError(400, 'A workspace needs at least one manager');
+    }
+}
+
+// Entries may only point at active projects of their own workspace
+async function getWorkspaceProject(tx, workspaceId, projectId) {
+    const project = await tx.get('projects', String(projectId));
+    if (!project || project.workspaceId !== workspaceId) {
+        throw new HttpError(400, 'Project not found in this workspace');
+    }
+    if (project.archivedAt) {
+        throw new HttpError(400, 'Project is archived');
+    }
+    return project;
+}
+
+// getWorkspaceProject for entry validation: problems become a projectId
+// field error instead of ending the request
+async function checkEntryProject(tx, workspaceId, projectId, errors) {
+    const project = await tx.get('projects', projectId);
+    if (!project || project.workspaceId !== workspaceId) {
+        errors.push({ field: 'projectId', message: 'is not a project in this workspace' });
+        return null;
+    }
+    if (project.archivedAt) {
+        errors.push({ field: 'projectId', message: 'is an archived project' });
+        return null;
+    }
+    return project;
+}
+
+// Tags must be the workspace's own; unknown ones become a tagIds field error
+async function checkEntryTags(tx, workspaceId, tagIds, errors) {
+    for (const tagId of tagIds) {
+        const tag = await tx.get('tags', tagId);
+        if (!tag || tag.workspaceId !== workspaceId) {
+            errors.push({ field: 'tagIds', message: `"${tagId}" is not a tag in this workspace` });
+        }
+    }
+}
+
+async function getWorkspaceTag(tx, workspaceId, id) {
+    const tag = await tx.get('tags', id);
+    if (!tag || tag.workspaceId !== workspaceId) {
+        throw new HttpError(404, 'Tag not found');
+    }
+    return tag;
+}
+
+// A project addressed by URL: 404 unless it is in the workspace
+async function getProjectById(tx, workspaceId, id) {
+    const project = await tx.get('projects', id);
+    if (!project || project.workspaceId !== workspaceId) {
+        throw new HttpError(404, 'Project not found');
+    }
+    return project;
+}
+
+// Worked seconds of an entry, counting a running timer up to now
+function workedSeconds(entry) {
+    return isActive(entry) ? calculateDurations(entry).duration : (entry.duration || 0);
+}
+
+// Budget usage of an entry's project, but only when saving the entry just
+// crossed one of the project's alert thresholds
+async function getBudgetAlerts(tx, entry) {
+    const project = (await getBillingProjects(tx, entry.workspaceId)).get(entry.projectId);
+    if (!project || !project.budget) {
+        return [];
+    }
+
+    const entries = (await tx.list('entries', { projectId: project.id }))
+        .map(item => ({ entry: item, seconds: workedSeconds(item) }));
+    const status = billing.budgetStatus(project, entries, { changedEntryId: entry.id });
+    return status.alertsCrossed.length > 0 ? [status] : [];
+}
+
+// Projects keyed by id, each carrying its client's default rate as
+// clientRate for billing. Works with storage or a transaction.
+async function getBillingProjects(source, workspaceId) {
+    const projects = await source.list('projects', { workspaceId });
+    const clientById = new Map((await source.list('clients', { workspaceId })).map(client => [client.id, client]));
+
+    return new Map(projects.map(project => {
+        const client = clientById.get(project.clientId);
+        return [project.id, { ...project, clientRate: client ? client.defaultRate : null }];
+    }));
+}
+
+async function getWorkspaceClient(tx, workspaceId, clientId) {
+    const client = await tx.get('clients', String(clientId));
+    if (!client || client.workspaceId !== workspaceId) {
+        throw new HttpError(400, 'Client not found in this workspace');
+    }
+    return client;
+}
+
+// Worked seconds, billable seconds and billable amount of a set of entries
+function sumBilling(entries, projectById) {
+    return entries.reduce((totals, entry) => {
+        const project = projectById.get(entry.projectId);
+        const seconds = workedSeconds(entry);
+        totals.duration += seconds;
+        if (billing.isBillable(entry, project)) {
+            totals.billableDuration += seconds;
+            totals.amount = billing.roundMoney(totals.amount + billing.entryAmount(entry, project, seconds));
+        }
+        return totals;
+    }, { duration: 0, billableDuration: 0, amount: 0 });
+}
+
+function workspaceCurrency(workspace) {
+    return workspace.currency || 'USD';
+}
+
+// 0 is Sunday, the default
+function workspaceWeekStart(workspace) {
+    return workspace.weekStart || 0;
+}
+
+// Billing totals per client (projects without one roll up under "No client"),
+// largest first. Amounts are in each client's currency.
+function sumByClient(entries, projectById, clientList, workspace) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const project = projectById.get(entry.projectId);
+        const clientId = (project && project.clientId) || null;
+        if (!groups.has(clientId)) {
+            groups.set(clientId, []);
+        }
+        groups.get(clientId).push(entry);
+    }
+
+    return [...groups].map(([clientId, group]) => {
+        const client = clientList.find(item => item.id === clientId);
+        const totals = sumBilling(group, projectById);
+        return {
+            clientId,
+            name: client ? client.name : 'No client',
+            currency: (client && client.currency) || workspaceCurrency(workspace),
+            totalDuration: totals.duration,
+            billableDuration: totals.billableDuration,
+            amount: totals.amount
+        };
+    }).sort((a, b) => b.totalDuration - a.totalDuration);
+}
+
+// Billing totals per tag, largest first. Entries with several tags count
+// under each; untagged ones under "No tag".
+function sumByTag(entries, projectById, tagList) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const tagIds = tags.entryTagIds(entry).filter(tagId => tagList.some(tag => tag.id === tagId));
+        for (const tagId of tagIds.length > 0 ? tagIds : [null]) {
+            if (!groups.has(tagId)) {
+                groups.set(tagId, []);
+            }
+            groups.get(tagId).push(entry);
+        }
+    }
+
+    return [...groups].map(([tagId, group]) => {
+        const tag = tagList.find(item => item.id === tagId);
+        const totals = sumBilling(group, projectById);
+        return {
+            tagId,
+            name: tag ? tag.name : 'No tag',
+            color: tag ? tag.color : null,
+            totalDuration: totals.duration,
+            billableDuration: totals.billableDuration,
+            amount: totals.amount
+        };
+    }).sort((a, b) => b.totalDuration - a.totalDuration);
+}
+
+// Worked seconds against an hours target; null without a target
+function goalProgress(targetHours, seconds) {
+    if (!targetHours) {
+        return null;
+    }
+    return {
+        targetHours,
+        worked: seconds,
+        percent: Math.round(seconds / 36 / targetHours * 10) / 10,
+        reached: seconds >= targetHours * 3600
+    };
+}
+
+function parseGoalHours(value, name, max) {
+    if (value === null || value === '' || value === 0) {
+        return null;
+    }
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 0 || hours > max) {
+        throw new HttpError(400, `${name} must be a number of hours from 0 to ${max}`);
+    }
+    return hours;
+}
+
+// ?weekStart= for one request, else the workspace setting
+function getReportWeekStart(req) {
+    return req.query.weekStart !== undefined ? parseWeekStart(req.query.weekStart) : workspaceWeekStart(req.workspace);
+}
+
+// What every report starts from: the entries in `range` the caller may see
+// and asked for, as report items. Members only ever see their own time;
+// managers see the whole workspace unless they pick someone with ?userId=.
+async function getReportItems(req, range) {
+    const manager = workspaces.isManager(req);
+    const userId = req.query.userId || (manager ? 'all' : req.user.id);
+    if (userId !== req.user.id && !manager) {
+        throw new HttpError(403, 'Only workspace managers can do this');
+    }
+    const filters = entrySchema.parseListQuery(req.query);
+    const rounding = reports.parseRounding(req.query);
+    const workspaceId = req.workspace.id;
+
+    const { entries, projectById, clientList, tagList, users } = await storage.transaction(async (tx) => ({
+        entries: await tx.list('entries', userId === 'all' ? { workspaceId } : { workspaceId, userId }),
+        projectById: await getBillingProjects(tx, workspaceId),
+        clientList: await tx.list('clients', { workspaceId }),
+        tagList: await tx.list('tags', { workspaceId }),
+        users: await tx.list('users')
+    }));
+
+    const rows = entries
+        .filter(entry => isInRange(entry, range) && entrySchema.matchesFilters(entry, filters, projectById.get(entry.projectId)))
+        .map(entry => ({ entry, seconds: workedSeconds(entry) }));
+
+    return reports.buildItems(rows, {
+        projectById,
+        clientById: new Map(clientList.map(client => [client.id, client])),
+        userById: new Map(users.map(user => [user.id, user])),
+        tagById: new Map(tagList.map(tag => [tag.id, tag])),
+        rounding
+    });
+}
+
+// The fields every report response starts with
+function reportHeader(req, range, weekStart, items) {
+    return {
+        from: dayKey(range.from),
+        to: dayKey(addDays(range.to, -1)),
+        weekStart,
+        rounding: reports.parseRounding(req.query),
+        currency: workspaceCurrency(req.workspace),
+        totals: reports.sumItems(items)
+    };
+}
+
+const MAX_IMPORT_ROWS = 10000;
+
+function sameName(a, b) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Same start and end, to the second: the same piece of work
+function entryKey(entry) {
+    return [entry.startTime, entry.endTime].map(time => Math.floor(new Date(time).getTime() / 1000)).join('|');
+}
+
+// The project an imported row names, matched by name within its client.
+// Missing ones are created when the import allows it; clients only by
+// managers, as elsewhere. `context` holds the workspace's clients and
+// projects, including those this import made. Returns { project } or
+// { error }.
+async function resolveImportProject(tx, context, { projectName, clientName }) {
+    let name = projectName.trim();
+    let clientLabel = clientName ? clientName.trim() : null;
+
+    // Old exports name projects "Client - Service"
+    if (!clientLabel && !context.projects.some(project => sameName(project.name, name))) {
+        const parsed = clients.splitProjectName(name);
+        if (parsed) {
+            name = parsed.service;
+            clientLabel = parsed.client;
+        }
+    }
+
+    let client = clientLabel ? context.clients.find(item => sameName(item.name, clientLabel)) : null;
+    const named = context.projects.filter(project => sameName(project.name, name));
+    const project = clientLabel
+        ? named.find(item => client && item.clientId === client.id)
+        : named.find(item => !item.clientId) || named[0];
+    if (project) {
+        return { project };
+    }
+
+    if (!context.createProjects) {
+        return { error: `there is no project "${name}"${clientLabel ? ` for ${clientLabel}` : ''}` };
+    }
+    if (clientLabel && !client) {
+        if (!context.canCreateClients) {
+            return { error: `there is no client "${clientLabel}"; only managers can add clients` };
+        }
+        client = {
+            id: generateId(),
+            workspaceId: context.workspaceId,
+            name: clientLabel,
+            contactName: '',
+            email: '',
+            phone: '',
+            address: '',
+            defaultRate: null,
+            currency: null,
+            createdAt: new Date().toISOString()
+        };
+        if (!context.dryRun) {
+            await tx.insert('clients', client);
+        }
+        context.clients.push(client);
+        context.createdClients.push(client);
+    }
+
+    const newProject = {
+        id: generateId(),
+        workspaceId: context.workspaceId,
+        clientId: client ? client.id : null,
+        name,
+        color: '#3B82F6',
+        hourlyRate: null,
+        billable: true,
+        budget: null,
+        createdAt: new Date().toISOString()
+    };
+    if (!context.dryRun) {
+        await tx.insert('projects', newProject);
+    }
+    context.projects.push(newProject);
+    context.createdProjects.push(newProject);
+    return { project: newProject };
+}
+
+// Tag ids for the names an imported row lists, creating missing tags
+async function resolveImportTags(tx, context, tagNames = []) {
+    const tagIds = [];
+    for (const name of tagNames) {
+        let tag = context.tags.find(item => sameName(item.name, name));
+        if (!tag) {
+            tag = {
+                id: generateId(),
+                workspaceId: context.workspaceId,
+                name: name.trim(),
+                color: tags.DEFAULT_COLOR,
+                createdAt: new Date().toISOString()
+            };
+            if (!context.dryRun) {
+                await tx.insert('tags', tag);
+            }
+            context.tags.push(tag);
+            context.createdTags.push(tag);
+        }
+        tagIds.push(tag.id);
+    }
+    return [...new Set(tagIds)];
+}
+
+// Invoiced entries are frozen: the invoice must keep matching its entries
+function assertNotInvoiced(entry) {
+    if (entry.invoiceId) {
+        throw new HttpError(409, 'Time entry is on an invoice and can no longer be changed', { invoiceId: entry.invoiceId });
+    }
+}
+
+// Closed months and submitted or approved weeks freeze their entries (see
+// periods.periodLock). Returns a check for any { userId, startTime } in the
+// workspace, giving the HttpError to throw or null.
+async function loadPeriodLocks(tx, workspaceId) {
+    const workspace = await tx.get('workspaces', workspaceId);
+    const closedMonth = (workspace && workspace.closedMonth) || null;
+    const timesheets = (await tx.list('timesheets', { workspaceId }))
+        .filter(sheet => periods.LOCKING_STATUSES.includes(sheet.status));
+    return ({ userId, startTime }) =>
+        periods.periodLock(startTime, { closedMonth, timesheets: timesheets.filter(sheet => sheet.userId === userId) });
+}
+
+// Each of `startTimes` (falsy ones are skipped) must be in an open period
+async function assertPeriodOpen(tx, workspaceId, userId, ...startTimes) {
+    const lockOf = await loadPeriodLocks(tx, workspaceId);
+    for (const startTime of startTimes.filter(Boolean)) {
+        const lock = lockOf({ userId, startTime });
+        if (lock) {
+            throw lock;
+        }
+    }
+}
+
+async function getWorkspaceTimesheet(tx, workspaceId, id) {
+    const timesheet = await tx.get('timesheets', id);
+    if (!timesheet || timesheet.workspaceId !== workspaceId) {
+        throw new HttpError(404, 'Timesheet not found');
+    }
+    return timesheet;
+}
+
+async function getWorkspaceInvoice(tx, workspaceId, id) {
+    const invoice = await tx.get('invoices', id);
+    if (!invoice || invoice.workspaceId !== workspaceId) {
+        throw new HttpError(404, 'Invoice not found');
+    }
+    return invoice;
+}
+
+function parseInvoiceClient(client) {
+    if (!client || typeof client !== 'object' || !String(client.name || '').trim()) {
+        throw new HttpError(400, 'client.name is required');
+    }
+    return {
+        name: String(client.name).trim(),
+        email: client.email ? String(client.email).trim() : '',
+        address: client.address ? String(client.address).trim() : ''
+    };
+}
+
+function parseTaxRate(value) {
+    const taxRate = Number(value || 0);
+    if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+        throw new HttpError(400, 'taxRate must be a percentage between 0 and 100');
+    }
+    return taxRate;
+}
+
+// Creates a browser session and returns its (only) plain-text token
+async function createSession(tx, user) {
+    const token = auth.generateToken('tt_session');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.auth.sessionTtlDays * 24 * 60 * 60 * 1000);
+
+    // Drop this user's expired sessions while we're here
+    const sessions = await tx.list('sessions', { userId: user.id });
+    for (const session of sessions.filter(item => new Date(item.expiresAt) <= now)) {
+        await tx.remove('sessions', session.id);
+    }
+
+    await tx.insert('sessions', {
+        id: generateId(),
+        userId: user.id,
+        tokenHash: auth.hashToken(token),
+        createdAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString()
+    });
+    return { token, expiresAt: expiresAt.toISOString(), user: auth.publicUser(user) };
+}
+
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Authentication: every /api route needs a session or API token except these
+const PUBLIC_API_PATHS = ['/health', '/extension/ping', '/auth/setup', '/auth/login'];
+app.use('/api', auth.createAuthenticator(storage, { publicPaths: PUBLIC_API_PATHS, queryTokenPaths: ['/export', '/events'] }));
+
+const requireAdmin = auth.requireRole('admin');
+
+// Projects, entries and stats are scoped to the current workspace
+const resolveWorkspace = workspaces.createWorkspaceResolver(storage);
+const requireManager = workspaces.requireManager;
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+    const corruptFiles = storage.getCorruptFiles();
+    res.json({ 
+        status: corruptFiles.length ? 'degraded' : 'healthy', 
+        timestamp: new Date().toISOString(),
+        message: corruptFiles.length
+            ? 'Some data files are corrupt; restore a backup from /api/admin/backups'
+            : 'Time Tracker API is running',
+        corruptFiles
+    });
+});
+
+// Extension API endpoints
+app.get('/api/extension/ping', (req, res) => {
+    res.json({ 
+        status: 'online', 
+        timestamp: new Date().toISOString(),
+        message: 'Extension API is working!'
+    });
+});
+
+// Auth endpoints
+app.get('/api/auth/setup', async (req, res) => {
+    try {
+        const users = await storage.list('users');
+        res.json({ needsSetup: users.length === 0 });
+    } catch (error) {
+        sendError(res, error, 'Auth setup status');
+    }
+});
+
+// Creates the first account, which becomes the admin and takes ownership of
+// any entries recorded before accounts existed
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        const { name, password } = req.body;
+        const email = normalizeEmail(req.body.email);
+        if (!email || !name) {
+            return res.status(400).json({ error: 'Name and email are required' });
+        }
+        auth.validatePassword(password);
+        const passwordHash = await auth.hashPassword(password);
+
+        // The new admin is the actor of the entries it takes over
+        const adminId = generateId();
+        const session = await auditedTransaction({ id: adminId, name: name.trim() }, async (tx) => {
+            if ((await tx.list('users')).length > 0) {
+                throw new HttpError(409, 'Setup has already been completed');
+            }
+
+            const admin = await tx.insert('users', {
+                id: adminId,
+                name: name.trim(),
+                email,
+                role: 'admin',
+                passwordHash,
+                createdAt: new Date().toISOString()
+            });
+
+            const unowned = (await tx.list('entries')).filter(entry => !entry.userId);
+            for (const entry of unowned) {
+                await tx.update('entries', { ...entry, userId: admin.id });
+            }
+
+            const [workspace] = await tx.list('workspaces');
+            if (workspace) {
+                await addMembership(tx, workspace.id, admin.id, 'manager');
+            }
+
+            return createSession(tx, admin);
+        });
+
+        console.log('Created admin account:', email);
+        res.status(201).json(session);
+    } catch (error) {
+        sendError(res, error, 'Auth setup');
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        const [user] = await storage.list('users', { email });
+
+        // Same answer, in the same time, for unknown users and wrong passwords
+        const passwordMatches = await auth.verifyPassword(String(req.body.password || ''), user ? user.passwordHash : auth.UNKNOWN_USER_HASH);
+        if (!user || user.disabled || !passwordMatches) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        const session = await storage.transaction(tx => createSession(tx, user));
+        console.log('User logged in:', email);
+        res.json(session);
+    } catch (error) {
+        sendError(res, error, 'Login');
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.auth.sessionId) {
+            await storage.remove('sessions', req.auth.sessionId);
+        }
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        sendError(res, error, 'Logout');
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// Users endpoints
+app.get('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const users = await storage.list('users');
+        res.json(users.map(auth.publicUser));
+    } catch (error) {
+        sendError(res, error, 'Get users');
+    }
+});
+
+// New users can join a workspace straight away via workspaceId
+app.post('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const { name, password, role = 'member', workspaceId, workspaceRole = 'member' } = req.body;
+        const email = normalizeEmail(req.body.email);
+        if (!email || !name) {
+            return res.status(400).json({ error: 'Name and email are required' });
+        }
+        if (!auth.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+        }
+        if (!workspaces.WORKSPACE_ROLES.includes(workspaceRole)) {
+            return res.status(400).json({ error: `Workspace role must be one of: ${workspaces.WORKSPACE_ROLES.join(', ')}` });
+        }
+        auth.validatePassword(password);
+        const passwordHash = await auth.hashPassword(password);
+
+        const user = await storage.transaction(async (tx) => {
+            if ((await tx.list('users', { email })).length > 0) {
+                throw new HttpError(409, 'A user with this email already exists');
+            }
+            if (workspaceId && !(await tx.get('workspaces', workspaceId))) {
+                throw new HttpError(400, 'Workspace not found');
+            }
+
+            const newUser = await tx.insert('users', {
+                id: generateId(),
+                name: name.trim(),
+                email,
+                role,
+                passwordHash,
+                createdAt: new Date().toISOString()
+            });
+            if (workspaceId) {
+                await addMembership(tx, workspaceId, newUser.id, workspaceRole);
+            }
+            return newUser;
+        });
+
+        console.log('Created user:', email);
+        res.status(201).json(auth.publicUser(user));
+    } catch (error) {
+        sendError(res, error, 'Create user');
+    }
+});
+
+// Users may change their own name and password; only admins change roles
+// or disable accounts
+app.put('/api/users/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const isAdmin = req.user.role === 'admin';
+        if (id !== req.user.id && !isAdmin) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
+        }
+
+        const { name, password, role, disabled } = req.body;
+        if ((role !== undefined || disabled !== undefined) && !isAdmin) {
+            return res.status(403).json({ error: 'Only admins can change roles or disable accounts' });
+        }
+        if (role !== undefined && !auth.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+        }
+        if (password !== undefined) {
+            auth.validatePassword(password);
+        }
+        // Personal targets for the dashboard's goal progress
+        const goals = {
+            ...(req.body.dailyGoalHours !== undefined && { dailyGoalHours: parseGoalHours(req.body.dailyGoalHours, 'dailyGoalHours', 24) }),
+            ...(req.body.weeklyGoalHours !== undefined && { weeklyGoalHours: parseGoalHours(req.body.weeklyGoalHours, 'weeklyGoalHours', 168) })
+        };
+        const passwordHash = password !== undefined ? await auth.hashPassword(password) : undefined;
+
+        const user = await storage.transaction(async (tx) => {
+            const existing = await tx.get('users', id);
+            if (!existing) {
+                throw new HttpError(404, 'User not found');
+            }
+
+            const updated = {
+                ...existing,
+                ...(name !== undefined && { name: String(name).trim() }),
+                ...(role !== undefined && { role }),
+                ...(disabled !== undefined && { disabled: Boolean(disabled) }),
+                ...(passwordHash && { passwordHash }),
+                ...goals,
+                updatedAt: new Date().toISOString()
+            };
+
+            // Never leave the server without an active admin
+            const admins = (await tx.list('users', { role: 'admin' })).filter(item => !item.disabled && item.id !== id);
+            if (admins.length === 0 && (updated.role !== 'admin' || updated.disabled)) {
+                throw new HttpError(400, 'At least one active admin is required');
+            }
+
+            // A new password or a disabled account signs out existing sessions
+            if (passwordHash || updated.disabled) {
+                for (const session of await tx.list('sessions', { userId: id })) {
+                    if (session.id !== req.auth.sessionId) {
+                        await tx.remove('sessions', session.id);
+                    }
+                }
+            }
+
+            return tx.update('users', updated);
+        });
+
+        console.log('Updated user:', user.email);
+        res.json(auth.publicUser(user));
+    } catch (error) {
+        sendError(res, error, 'Update user');
+    }
+});
+
+// API tokens (long-lived, for the browser extension)
+app.get('/api/tokens', async (req, res) => {
+    try {
+        const tokens = await storage.list('apiTokens', { userId: req.user.id });
+        res.json(tokens.map(({ tokenHash, ...token }) => token));
+    } catch (error) {
+        sendError(res, error, 'Get API tokens');
+    }
+});
+
+app.post('/api/tokens', async (req, res) => {
+    try {
+        if (req.body.name !== undefined && req.body.name !== null && typeof req.body.name !== 'string') {
+            return res.status(400).json({ error: 'Token name must be text' });
+        }
+        const name = (req.body.name || '').trim() || 'Browser extension';
+        const token = auth.generateToken('tt_api');
+        const { tokenHash, ...apiToken } = await storage.insert('apiTokens', {
+            id: generateId(),
+            userId: req.user.id,
+            name,
+            tokenHash: auth.hashToken(token),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        });
+
+        console.log('Created API token:', apiToken.id, 'for', req.user.email);
+        // The plain token is only ever returned here
+        res.status(201).json({ ...apiToken, token });
+    } catch (error) {
+        sendError(res, error, 'Create API token');
+    }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+    try {
+        await storage.transaction(async (tx) => {
+            const apiToken = await tx.get('apiTokens', req.params.id);
+            if (!apiToken || apiToken.userId !== req.user.id) {
+                throw new HttpError(404, 'API token not found');
+            }
+            await tx.update('apiTokens', { ...apiToken, revokedAt: new Date().toISOString() });
+        });
+
+        console.log('Revoked API token:', req.params.id);
+        res.json({ message: 'API token revoked' });
+    } catch (error) {
+        sendError(res, error, 'Revoke API token');
+    }
+});
+
+// Workspaces endpoints
+app.get('/api/workspaces', async (req, res) => {
+    try {
+        const memberships = await storage.list('memberships', { userId: req.user.id });
+        const all = await storage.list('workspaces');
+
+        // Admins see every workspace and manage the ones they haven't joined
+        const result = all
+            .map(workspace => {
+                const membership = memberships.find(item => item.workspaceId === workspace.id);
+                const role = membership ? membership.role : (req.user.role === 'admin' ? 'manager' : null);
+                return role && { ...workspace, role };
+            })
+            .filter(Boolean);
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Get workspaces');
+    }
+});
+
+app.post('/api/workspaces', async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Workspace name is required' });
+        }
+
+        // Whoever creates a workspace manages it
+        const workspace = await auditedTransaction(req.user, async (tx) => {
+            const newWorkspace = await tx.insert('workspaces', {
+                id: generateId(),
+                name: name.trim(),
+                createdBy: req.user.id,
+                createdAt: new Date().toISOString()
+            });
+            await addMembership(tx, newWorkspace.id, req.user.id, 'manager');
+            return newWorkspace;
+        });
+
+        console.log('Created workspace:', workspace.name);
+        res.status(201).json({ ...workspace, role: 'manager' });
+    } catch (error) {
+        sendError(res, error, 'Create workspace');
+    }
+});
+
+// Name, the currency amounts are reported in, weekStart and maxTimerHours
+app.put('/api/workspaces/:id', async (req, res) => {
+    try {
+        const { name, currency } = req.body;
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({ error: 'Workspace name is required' });
+        }
+        if (currency !== undefined && !/^[A-Z]{3}$/.test(currency)) {
+            return res.status(400).json({ error: 'Currency must be a three-letter ISO code such as USD' });
+        }
+        const weekStart = req.body.weekStart !== undefined ? parseWeekStart(req.body.weekStart) : undefined;
+        // null goes back to the server default
+        const { maxTimerHours } = req.body;
+        if (maxTimerHours !== undefined && maxTimerHours !== null
+            && (typeof maxTimerHours !== 'number' || maxTimerHours < 0 || maxTimerHours > 168)) {
+            return res.status(400).json({ error: 'maxTimerHours must be 0 (no limit) to 168, or null for the default' });
+        }
+
+        const workspace = await auditedTransaction(req.user, async (tx) => {
+            const existing = await getWorkspaceAccess(tx, req.params.id, req.user, { manage: true });
+            return tx.update('workspaces', {
+                ...existing,
+                ...(name !== undefined && { name: String(name).trim() }),
+                ...(currency !== undefined && { currency }),
+                ...(weekStart !== undefined && { weekStart }),
+                ...(maxTimerHours !== undefined && { maxTimerHours }),
+                updatedAt: new Date().toISOString()
+            });
+        });
+
+        console.log('Updated workspace:', workspace.name);
+        res.json(workspace);
+    } catch (error) {
+        sendError(res, error, 'Update workspace');
+    }
+});
+
+// Closes an accounting month: no entry starting in it or any earlier month
+// can be created, changed or deleted. Admins only; `null` reopens everything
+// and an earlier month reopens the months after it.
+app.put('/api/workspaces/:id/closed-month', requireAdmin, async (req, res) => {
+    try {
+        const { month } = req.body;
+        if (month === undefined) {
+            return res.status(400).json({ error: 'month is required (YYYY-MM, or null to reopen)' });
+        }
+        if (month !== null && periods.parseMonth(month) >= dayKey(new Date()).slice(0, 7)) {
+            return res.status(400).json({ error: 'Only months that have ended can be closed' });
+        }
+
+        const workspace = await auditedTransaction(req.user, async (tx) => {
+            const existing = await getWorkspaceAccess(tx, req.params.id, req.user, { manage: true });
+            return tx.update('workspaces', {
+                ...existing,
+                closedMonth: month,
+                closedBy: req.user.id,
+                closedAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+        });
+
+        console.log('Closed month', month, 'in workspace:', workspace.name);
+        res.json(workspace);
+    } catch (error) {
+        sendError(res, error, 'Close month');
+    }
+});
+
+app.get('/api/workspaces/:id/members', async (req, res) => {
+    try {
+        const members = await storage.transaction(async (tx) => {
+            await getWorkspaceAccess(tx, req.params.id, req.user);
+            const memberships = await tx.list('memberships', { workspaceId: req.params.id });
+            const result = [];
+            for (const membership of memberships) {
+                const user = await tx.get('users', membership.userId);
+                if (user) {
+                    result.push({
+                        userId: user.id,
+                        name: user.name,
+                        email: user.email,
+                        role: membership.role,
+                        disabled: Boolean(user.disabled),
+                        joinedAt: membership.createdAt
+                    });
+                }
+            }
+            return result;
+        });
+        res.json(members);
+    } catch (error) {
+        sendError(res, error, 'Get workspace members');
+    }
+});
+
+app.post('/api/workspaces/:id/members', async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        const { role = 'member' } = req.body;
+        if (!workspaces.WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${workspaces.WORKSPACE_ROLES.join(', ')}` });
+        }
+
+        const membership = await storage.transaction(async (tx) => {
+            await getWorkspaceAccess(tx, req.params.id, req.user, { manage: true });
+
+            const [user] = await tx.list('users', { email });
+            if (!user) {
+                throw new HttpError(404, 'No user with this email');
+            }
+            if ((await tx.list('memberships', { workspaceId: req.params.id, userId: user.id })).length > 0) {
+                throw new HttpError(409, 'User is already a member of this workspace');
+            }
+            return addMembership(tx, req.params.id, user.id, role);
+        });
+
+        console.log('Added member to workspace:', email);
+        res.status(201).json(membership);
+    } catch (error) {
+        sendError(res, error, 'Add workspace member');
+    }
+});
+
+app.put('/api/workspaces/:id/members/:userId', async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        const { role } = req.body;
+        if (!workspaces.WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${workspaces.WORKSPACE_ROLES.join(', ')}` });
+        }
+
+        const membership = await storage.transaction(async (tx) => {
+            await getWorkspaceAccess(tx, id, req.user, { manage: true });
+
+            const [existing] = await tx.list('memberships', { workspaceId: id, userId });
+            if (!existing) {
+                throw new HttpError(404, 'Member not found');
+            }
+            if (role !== 'manager') {
+                await ensureManagerRemains(tx, id, userId);
+            }
+            return tx.update('memberships', { ...existing, role, updatedAt: new Date().toISOString() });
+        });
+
+        console.log('Updated workspace member:', userId, 'role:', role);
+        res.json(membership);
+    } catch (error) {
+        sendError(res, error, 'Update workspace member');
+    }
+});
+
+// Managers remove members; anyone may leave. Their entries stay in the workspace.
+app.delete('/api/workspaces/:id/members/:userId', async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+
+        await storage.transaction(async (tx) => {
+            await getWorkspaceAccess(tx, id, req.user, { manage: userId !== req.user.id });
+
+            const [existing] = await tx.list('memberships', { workspaceId: id, userId });
+            if (!existing) {
+                throw new HttpError(404, 'Member not found');
+            }
+            await ensureManagerRemains(tx, id, userId);
+            await tx.remove('memberships', existing.id);
+        });
+
+        console.log('Removed workspace member:', userId);
+        res.json({ message: 'Member removed from workspace' });
+    } catch (error) {
+        sendError(res, error, 'Remove workspace member');
+    }
+});
+
+// The timer belongs to the person, so the active entry may live in another
+// workspace than the one currently open
+app.get('/api/extension/status', resolveWorkspace, async (req, res) => {
+    try {
+        const projects = await storage.list('projects', { workspaceId: req.workspace.id });
+        const entries = await storage.list('entries', { userId: req.user.id });
+        
+        // Find active timer
+        const activeEntry = findActiveEntry(entries);
+        
+        res.json({
+            isOnline: true,
+            projectCount: projects.filter(project => !project.archivedAt).length,
+            activeTimer: withLiveDurations(activeEntry),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendError(res, error, 'Extension status');
+    }
+});
+
+// Clients endpoints
+app.get('/api/clients', resolveWorkspace, async (req, res) => {
+    try {
+        const clientList = await storage.list('clients', { workspaceId: req.workspace.id });
+        clientList.sort((a, b) => a.name.localeCompare(b.name));
+        res.json(clientList);
+    } catch (error) {
+        sendError(res, error, 'Get clients');
+    }
+});
+
+app.post('/api/clients', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const fields = clients.parseClientFields(req.body, { requireName: true });
+
+        const client = await auditedTransaction(req.user, async (tx) => {
+            const existing = await tx.list('clients', { workspaceId: req.workspace.id });
+            if (existing.some(item => item.name.toLowerCase() === fields.name.toLowerCase())) {
+                throw new HttpError(409, 'A client with this name already exists');
+            }
+            return tx.insert('clients', {
+                id: generateId(),
+                workspaceId: req.workspace.id,
+                contactName: '',
+                email: '',
+                phone: '',
+                address: '',
+                defaultRate: null,
+                currency: null,
+                ...fields,
+                createdAt: new Date().toISOString()
+            });
+        });
+
+        console.log('Created client:', client.name);
+        res.status(201).json(client);
+    } catch (error) {
+        sendError(res, error, 'Create client');
+    }
+});
+
+app.get('/api/clients/:id', resolveWorkspace, async (req, res) => {
+    try {
+        const client = await storage.get('clients', req.params.id);
+        if (!client || client.workspaceId !== req.workspace.id) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+        const projects = await storage.list('projects', { workspaceId: req.workspace.id, clientId: client.id });
+        res.json({ ...client, projects });
+    } catch (error) {
+        sendError(res, error, 'Get client');
+    }
+});
+
+app.put('/api/clients/:id', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const fields = clients.parseClientFields(req.body);
+
+        const client = await auditedTransaction(req.user, async (tx) => {
+            const existing = await tx.get('clients', req.params.id);
+            if (!existing || existing.workspaceId !== req.workspace.id) {
+                throw new HttpError(404, 'Client not found');
+            }
+            return tx.update('clients', { ...existing, ...fields, updatedAt: new Date().toISOString() });
+        });
+
+        console.log('Updated client:', client.name);
+        res.json(client);
+    } catch (error) {
+        sendError(res, error, 'Update client');
+    }
+});
+
+// Clients with projects stay; move or delete the projects first
+app.delete('/api/clients/:id', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const client = await auditedTransaction(req.user, async (tx) => {
+            const existing = await tx.get('clients', req.params.id);
+            if (!existing || existing.workspaceId !== req.workspace.id) {
+                throw new HttpError(404, 'Client not found');
+            }
+            const projects = await tx.list('projects', { workspaceId: req.workspace.id, clientId: existing.id });
+            if (projects.length > 0) {
+                throw new HttpError(409, 'Client still has projects', { projectIds: projects.map(project => project.id) });
+            }
+            return tx.remove('clients', existing.id);
+        });
+
+        console.log('Deleted client:', client.name);
+        res.json({ message: 'Client deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Delete client');
+    }
+});
+
+// Projects endpoints
+// Archived projects are left out unless ?includeArchived=true
+app.get('/api/projects', resolveWorkspace, async (req, res) => {
+    try {
+        const projects = await storage.list('projects', { workspaceId: req.workspace.id });
+        res.json(req.query.includeArchived === 'true' ? projects : projects.filter(project => !project.archivedAt));
+    } catch (error) {
+        sendError(res, error, 'Get projects');
+    }
+});
+
+// Any member may add a project, as the tracker's quick add and imports do:
+// a new project changes nobody else's time. Editing and deleting touch every
+// member's entries, so those are for managers, as are rates and budgets.
+app.post('/api/projects', resolveWorkspace, async (req, res) => {
+    try {
+        const { name, color } = req.body;
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Project name is required' });
+        }
+        if (color && !tags.COLOR_PATTERN.test(color)) {
+            return res.status(400).json({ error: 'Color must be a hex color such as #3B82F6' });
+        }
+
+        // Rates and budgets are for managers to set
+        const billingFields = billing.parseProjectBilling(req.body);
+        if (Object.keys(billingFields).length > 0 && !workspaces.isManager(req)) {
+            return res.status(403).json({ error: 'Only workspace managers can set rates and budgets' });
+        }
+
+        const newProject = await auditedTransaction(req.user, async (tx) => {
+            if (req.body.clientId) {
+                await getWorkspaceClient(tx, req.workspace.id, req.body.clientId);
+            }
+            return tx.insert('projects', {
+                id: generateId(),
+                workspaceId: req.workspace.id,
+                clientId: req.body.clientId ? String(req.body.clientId) : null,
+                name: name.trim(),
+                color: color || '#3B82F6',
+                hourlyRate: null,
+                billable: true,
+                budget: null,
+                ...billingFields,
+                createdAt: new Date().toISOString()
+            });
+        });
+        
+        console.log('Created new project:', newProject.name);
+        publishProject('project.created', newProject);
+        res.status(201).json(newProject);
+    } catch (error) {
+        sendError(res, error, 'Create project');
+    }
+});
+
+// name, color, clientId (null to unlink), archived (true hides the project
+// from pickers but keeps its history) and billing settings: hourlyRate,
+// memberRates ({ userId: rate }), billable and budget ({ type: 'hours' |
+// 'money', amount, period: 'total' | 'monthly', alertPercentages })
+app.put('/api/projects/:id', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, color, clientId, archived } = req.body;
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({ error: 'Project name is required' });
+        }
+        if (color !== undefined && !tags.COLOR_PATTERN.test(color)) {
+            return res.status(400).json({ error: 'Color must be a hex color such as #3B82F6' });
+        }
+        const billingFields = billing.parseProjectBilling(req.body);
+
+        const project = await auditedTransaction(req.user, async (tx) => {
+            const existing = await getProjectById(tx, req.workspace.id, id);
+            if (clientId) {
+                await getWorkspaceClient(tx, req.workspace.id, clientId);
+            }
+
+            const updated = {
+                ...existing,
+                ...billingFields,
+                ...(name !== undefined && { name: String(name).trim() }),
+                ...(color !== undefined && { color }),
+                ...(clientId !== undefined && { clientId: clientId ? String(clientId) : null }),
+                updatedAt: new Date().toISOString()
+            };
+            if (archived !== undefined) {
+                updated.archivedAt = archived ? (existing.archivedAt || updated.updatedAt) : null;
+            }
+            return tx.update('projects', updated);
+        });
+
+        console.log('Updated project:', project.name);
+        publishProject('project.updated', project);
+        res.json(project);
+    } catch (error) {
+        sendError(res, error, 'Update project');
+    }
+});
+
+// Only admins delete projects; managers archive them. A project with time
+// entries is only deleted when the caller says what happens to them:
+// ?reassignTo=<projectId> moves them, ?cascade=true deletes them too.
+// Invoiced entries can do neither.
+app.delete('/api/projects/:id', requireAdmin, resolveWorkspace, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reassignTo } = req.query;
+        const cascade = req.query.cascade === 'true';
+        if (reassignTo && cascade) {
+            return res.status(400).json({ error: 'Use either reassignTo or cascade, not both' });
+        }
+
+        const { deletedProject, changedEntries } = await auditedTransaction(req.user, async (tx) => {
+            const project = await getProjectById(tx, req.workspace.id, id);
+            const entries = await tx.list('entries', { projectId: id });
+
+            if (entries.length > 0) {
+                if (!reassignTo && !cascade) {
+                    throw new HttpError(409, 'Project has time entries; pass reassignTo or cascade=true', { entriesCount: entries.length });
+                }
+                const invoiced = entries.filter(entry => entry.invoiceId);
+                if (invoiced.length > 0) {
+                    throw new HttpError(409, 'Project has invoiced time entries and cannot be deleted; archive it instead', { invoicedCount: invoiced.length });
+                }
+                const lockOf = await loadPeriodLocks(tx, req.workspace.id);
+                const locked = entries.filter(entry => lockOf(entry));
+                if (locked.length > 0) {
+                    throw new HttpError(409, 'Project has time entries in closed or approved periods and cannot be deleted; archive it instead', { lockedCount: locked.length });
+                }
+            }
+
+            const changed = [];
+            if (reassignTo) {
+                if (reassignTo === id) {
+                    throw new HttpError(400, 'Cannot reassign entries to the project being deleted');
+                }
+                const target = await getProjectById(tx, req.workspace.id, reassignTo);
+                for (const entry of entries) {
+                    changed.push(await tx.update('entries', { ...entry, projectId: target.id, updatedAt: new Date().toISOString() }));
+                }
+            } else {
+                for (const entry of entries) {
+                    changed.push(await tx.remove('entries', entry.id));
+                }
+            }
+
+            return { deletedProject: await tx.remove('projects', project.id), changedEntries: changed };
+        });
+
+        changedEntries.forEach(entry => publishEntry(reassignTo ? 'entry.updated' : 'entry.deleted', entry));
+        publishProject('project.deleted', deletedProject);
+        const affected = changedEntries.length;
+        console.log('Deleted project:', deletedProject.name, reassignTo ? `(moved ${affected} entries to ${reassignTo})` : `(deleted ${affected} entries)`);
+        res.json({
+            message: 'Project deleted successfully',
+            ...(reassignTo ? { reassignedEntries: affected } : { deletedEntries: affected })
+        });
+    } catch (error) {
+        sendError(res, error, 'Delete project');
+    }
+});
+
+// Tags endpoints
+// Labels such as "review" or "client call" that cut across projects. An
+// entry may have several (tagIds). Anyone may add tags; managers rename,
+// recolor and delete them.
+app.get('/api/tags', resolveWorkspace, async (req, res) => {
+    try {
+        const tagList = await storage.list('tags', { workspaceId: req.workspace.id });
+        tagList.sort((a, b) => a.name.localeCompare(b.name));
+        res.json(tagList);
+    } catch (error) {
+        sendError(res, error, 'Get tags');
+    }
+});
+
+app.post('/api/tags', resolveWorkspace, async (req, res) => {
+    try {
+        const fields = tags.parseTagFields(req.body, { requireName: true });
+
+        const tag = await auditedTransaction(req.user, async (tx) => {
+            const existing = await tx.list('tags', { workspaceId: req.workspace.id });
+            if (existing.some(item => item.name.toLowerCase() === fields.name.toLowerCase())) {
+                throw new HttpError(409, 'A tag with this name already exists');
+            }
+            return tx.insert('tags', {
+                id: generateId(),
+                workspaceId: req.workspace.id,
+                color: tags.DEFAULT_COLOR,
+                ...fields,
+                createdAt: new Date().toISOString()
+            });
+        });
+
+        console.log('Created tag:', tag.name);
+        res.status(201).json(tag);
+    } catch (error) {
+        sendError(res, error, 'Create tag');
+    }
+});
+
+app.put('/api/tags/:id', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const fields = tags.parseTagFields(req.body);
+
+        const tag = await auditedTransaction(req.user, async (tx) => {
+            const existing = await getWorkspaceTag(tx, req.workspace.id, req.params.id);
+            if (fields.name) {
+                const others = await tx.list('tags', { workspaceId: req.workspace.id });
+                if (others.some(item => item.id !== existing.id && item.name.toLowerCase() === fields.name.toLowerCase())) {
+                    throw new HttpError(409, 'A tag with this name already exists');
+                }
+            }
+            return tx.update('tags', { ...existing, ...fields, updatedAt: new Date().toISOString() });
+        });
+
+        console.log('Updated tag:', tag.name);
+        res.json(tag);
+    } catch (error) {
+        sendError(res, error, 'Update tag');
+    }
+});
+
+// The tag comes off every entry that had it, so it can't be deleted while
+// any of them is invoiced or in a closed or approved period
+app.delete('/api/tags/:id', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const { tag, untagged } = await auditedTransaction(req.user, async (tx) => {
+            const existing = await getWorkspaceTag(tx, req.workspace.id, req.params.id);
+            const entries = (await tx.list('entries', { workspaceId: req.workspace.id }))
+                .filter(entry => tags.entryTagIds(entry).includes(existing.id));
+            const invoiced = entries.filter(entry => entry.invoiceId);
+            if (invoiced.length > 0) {
+                throw new HttpError(409, 'Tag is on invoiced time entries and cannot be deleted', { invoicedCount: invoiced.length });
+            }
+            const lockOf = await loadPeriodLocks(tx, req.workspace.id);
+            const locked = entries.filter(entry => lockOf(entry));
+            if (locked.length > 0) {
+                throw new HttpError(409, 'Tag is on time entries in closed or approved periods and cannot be deleted', { lockedCount: locked.length });
+            }
+            for (const entry of entries) {
+                await tx.update('entries', {
+                    ...entry,
+                    tagIds: entry.tagIds.filter(tagId => tagId !== existing.id),
+                    updatedAt: new Date().toISOString()
+                });
+            }
+            return { tag: await tx.remove('tags', existing.id), untagged: entries.length };
+        });
+
+        console.log('Deleted tag:', tag.name, `(removed from ${untagged} entries)`);
+        res.json({ message: 'Tag deleted successfully', untaggedEntries: untagged });
+    } catch (error) {
+        sendError(res, error, 'Delete tag');
+    }
+});
+
+// Time entries endpoints
+// Managers may read a member's timesheet with ?userId= (everyone's with
+// ?userId=all). Without limit, page or cursor the response is a plain array
+// of every match; with any of them it is one page plus totals.
+app.get('/api/time-entries', resolveWorkspace, async (req, res) => {
+    try {
+        const userId = req.query.userId || req.user.id;
+        if (userId !== req.user.id && !workspaces.isManager(req)) {
+            return res.status(403).json({ error: 'Only workspace managers can do this' });
+        }
+
+        const query = entrySchema.parseListQuery(req.query);
+        // Both days inclusive, either may be left open
+        const from = req.query.from ? parseDay(req.query.from, 'from') : null;
+        const to = req.query.to ? parseDay(req.query.to, 'to') : null;
+        if (to) {
+            to.setDate(to.getDate() + 1);
+        }
+        if (from && to && to <= from) {
+            throw new HttpError(400, 'to must not be before from');
+        }
+
+        const workspaceId = req.workspace.id;
+        const { entries, projectById } = await storage.transaction(async (tx) => ({
+            entries: await tx.list('entries', userId === 'all' ? { workspaceId } : { workspaceId, userId }),
+            projectById: await getBillingProjects(tx, workspaceId)
+        }));
+
+        const matches = entries.filter(entry => {
+            const start = new Date(entry.startTime);
+            return (!from || start >= from) && (!to || start < to)
+                && entrySchema.matchesFilters(entry, query, projectById.get(entry.projectId));
+        });
+        const sorted = entrySchema.sortEntries(matches, query.sort);
+
+        if (!query.paginated) {
+            return res.json(sorted);
+        }
+
+        const { items, nextCursor } = entrySchema.paginate(sorted, query);
+        res.json({
+            entries: items,
+            total: matches.length,
+            totals: { ...sumBilling(matches, projectById), currency: workspaceCurrency(req.workspace) },
+            page: query.cursor ? null : query.page,
+            pageCount: Math.ceil(matches.length / query.limit),
+            limit: query.limit,
+            nextCursor
+        });
+    } catch (error) {
+        sendError(res, error, 'Get entries');
+    }
+});
+
+app.post('/api/time-entries', resolveWorkspace, async (req, res) => {
+    try {
+        const { id } = req.body;
+        const { values, errors } = entrySchema.parseEntry(req.body);
+
+        const { entry, created, budgetAlerts } = await auditedTransaction(req.user, async (tx) => {
+            // Client-generated IDs make replayed offline creates idempotent
+            const existingEntry = id && await tx.get('entries', String(id));
+            if (existingEntry) {
+                if (existingEntry.userId !== req.user.id) {
+                    throw new HttpError(409, 'Time entry id is already in use');
+                }
+                return { entry: existingEntry, created: false, budgetAlerts: [] };
+            }
+
+            const project = values.projectId && await checkEntryProject(tx, req.workspace.id, values.projectId, errors);
+            if (values.tagIds) {
+                await checkEntryTags(tx, req.workspace.id, values.tagIds, errors);
+            }
+            entrySchema.assertValid(errors);
+            await assertPeriodOpen(tx, req.workspace.id, req.user.id, values.startTime);
+
+            // An entry without an end is a running timer, and there is only one
+            if (!values.endTime && findActiveEntry(await tx.list('entries', { userId: req.user.id }))) {
+                throw new HttpError(409, 'A timer is already running; stop it first');
+            }
+
+            const entry = {
+                id: id ? String(id) : generateId(),
+                userId: req.user.id,
+                workspaceId: req.workspace.id,
+                description: '',
+                endTime: null,
+                breaks: [],
+                tagIds: [],
+                billable: project.billable !== false,
+                ...values,
+                createdAt: new Date().toISOString()
+            };
+            entry.status = entry.endTime ? 'completed' : 'running';
+            Object.assign(entry, entry.endTime ? calculateDurations(entry) : { duration: 0, breakDuration: 0 });
+
+            const newEntry = await tx.insert('entries', entry);
+            return { entry: newEntry, created: true, budgetAlerts: await getBudgetAlerts(tx, newEntry) };
+        });
+
+        if (created) {
+            console.log('Created new time entry:', entry.id);
+            publishEntry('entry.created', entry);
+            if (!entry.endTime) {
+                publishEntry('timer.started', entry);
+            }
+        }
+        res.status(created ? 201 : 200).json(budgetAlerts.length > 0 ? { ...entry, budgetAlerts } : entry);
+    } catch (error) {
+        sendError(res, error, 'Create entry');
+    }
+});
+
+app.put('/api/time-entries/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { baseUpdatedAt, ...body } = req.body;
+
+        const { updatedEntry, stopped } = await auditedTransaction(req.user, async (tx) => {
+            const entry = await getOwnedEntry(tx, id, req.user);
+
+            if (hasConflict(entry, baseUpdatedAt)) {
+                throw new HttpError(409, 'Time entry was changed on the server', { entry });
+            }
+            assertNotInvoiced(entry);
+
+            const { values, errors } = entrySchema.parseEntry(body, entry);
+            if (values.projectId !== undefined && values.projectId !== entry.projectId) {
+                await checkEntryProject(tx, entry.workspaceId, values.projectId, errors);
+            }
+            if (values.tagIds) {
+                await checkEntryTags(tx, entry.workspaceId, values.tagIds, errors);
+            }
+            entrySchema.assertValid(errors);
+            // Neither out of a locked period nor into one
+            await assertPeriodOpen(tx, entry.workspaceId, entry.userId, entry.startTime, values.startTime);
+
+            const updated = { ...entry, ...values, updatedAt: new Date().toISOString() };
+            // Fixing the times is the review an auto-stopped entry waits for
+            if (entry.needsReview && (values.startTime || values.endTime)) {
+                updated.needsReview = false;
+            }
+
+            // Stopping a timer through an update (e.g. replayed from offline) closes
+            // its open break; finished entries follow their new times
+            if (isActive(entry)) {
+                if (values.endTime) {
+                    completeEntry(updated, values.endTime);
+                }
+            } else {
+                Object.assign(updated, calculateDurations(updated));
+            }
+            return { updatedEntry: await tx.update('entries', updated), stopped: isActive(entry) && !isActive(updated) };
+        });
+        
+        console.log('Updated time entry:', id);
+        publishEntry('entry.updated', updatedEntry);
+        if (stopped) {
+            publishEntry('timer.stopped', updatedEntry);
+        }
+        res.json(updatedEntry);
+    } catch (error) {
+        sendError(res, error, 'Update entry');
+    }
+});
+
+app.delete('/api/time-entries/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedEntry = await auditedTransaction(req.user, async (tx) => {
+            const entry = await getOwnedEntry(tx, id, req.user);
+
+            if (hasConflict(entry, req.query.baseUpdatedAt)) {
+                throw new HttpError(409, 'Time entry was changed on the server', { entry });
+            }
+            assertNotInvoiced(entry);
+            await assertPeriodOpen(tx, entry.workspaceId, entry.userId, entry.startTime);
+
+            return tx.remove('entries', id);
+        });
+        
+        console.log('Deleted time entry:', id);
+        publishEntry('entry.deleted', deletedEntry);
+        res.json({ message: 'Time entry deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Delete entry');
+    }
+});
+
+// Brings a deleted entry back from the snapshot its deletion left in the
+// audit log. A timer deleted while running comes back stopped at the time
+// it was deleted; tags deleted since are dropped.
+app.post('/api/time-entries/:id/restore', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const restoredEntry = await auditedTransaction(req.user, async (tx) => {
+            const [last] = (await tx.list('audit', { entityId: id }))
+                .filter(record => record.entityType === 'entry')
+                .reverse();
+            const snapshot = last && audit.snapshotOf(last);
+            if (!snapshot || (snapshot.userId !== req.user.id && req.user.role !== 'admin')) {
+                throw new HttpError(404, 'Time entry not found');
+            }
+            if (last.operation !== 'delete' || await tx.get('entries', id)) {
+                throw new HttpError(409, 'Time entry is not deleted');
+            }
+
+            const project = await tx.get('projects', snapshot.projectId);
+            if (!project || project.workspaceId !== snapshot.workspaceId) {
+                throw new HttpError(409, 'The entry\'s project has been deleted; restore or recreate it first');
+            }
+            await assertPeriodOpen(tx, snapshot.workspaceId, snapshot.userId, snapshot.startTime);
+
+            const entry = { ...snapshot, updatedAt: new Date().toISOString() };
+            if (isActive(entry)) {
+                completeEntry(entry, last.at);
+            }
+            const tagIds = [];
+            for (const tagId of tags.entryTagIds(entry)) {
+                const tag = await tx.get('tags', tagId);
+                if (tag && tag.workspaceId === entry.workspaceId) {
+                    tagIds.push(tagId);
+                }
+            }
+            entry.tagIds = tagIds;
+            if (entry.invoiceId && !(await tx.get('invoices', entry.invoiceId))) {
+                delete entry.invoiceId;
+            }
+            return tx.restore('entries', entry);
+        });
+
+        console.log('Restored time entry:', id);
+        publishEntry('entry.created', restoredEntry);
+        res.status(201).json(restoredEntry);
+    } catch (error) {
+        sendError(res, error, 'Restore entry');
+    }
+});
+
+// Extension timer endpoints
+app.post('/api/extension/start-timer', resolveWorkspace, async (req, res) => {
+    try {
+        const { projectId, description } = req.body;
+        
+        if (!projectId) {
+            return res.status(400).json({ error: 'Project ID is required' });
+        }
+        const billingFields = billing.parseEntryBilling(req.body);
+        const tagIds = req.body.tagIds !== undefined ? entrySchema.parseTagIds(req.body.tagIds) : [];
+
+        const { newEntry, stoppedEntry } = await auditedTransaction(req.user, async (tx) => {
+            const project = await getWorkspaceProject(tx, req.workspace.id, projectId);
+            const errors = [];
+            await checkEntryTags(tx, req.workspace.id, tagIds, errors);
+            entrySchema.assertValid(errors);
+            await assertPeriodOpen(tx, req.workspace.id, req.user.id, new Date().toISOString());
+
+            // Stop any running or paused timer first, whichever workspace it is in
+            const activeEntry = findActiveEntry(await tx.list('entries', { userId: req.user.id }));
+            let stopped = null;
+            
+            if (activeEntry) {
+                stopped = await tx.update('entries', completeEntry(activeEntry));
+                console.log('Stopped previous timer:', activeEntry.id);
+            }
+
+            // Start new timer
+            const started = await tx.insert('entries', {
+                id: generateId(),
+                userId: req.user.id,
+                workspaceId: req.workspace.id,
+                projectId,
+                description: description || '',
+                startTime: new Date().toISOString(),
+                endTime: null,
+                duration: 0,
+                breakDuration: 0,
+                breaks: [],
+                tagIds,
+                status: 'running',
+                billable: project.billable !== false,
+                ...billingFields,
+                createdAt: new Date().toISOString()
+            });
+            return { newEntry: started, stoppedEntry: stopped };
+        });
+        
+        console.log('Started new timer:', newEntry.id);
+        if (stoppedEntry) {
+            publishEntry('timer.stopped', stoppedEntry);
+        }
+        publishEntry('timer.started', newEntry);
+        res.json({ success: true, entry: newEntry });
+    } catch (error) {
+        sendError(res, error, 'Start timer');
+    }
+});
+
+app.post('/api/extension/pause-timer', async (req, res) => {
+    try {
+        const runningEntry = await auditedTransaction(req.user, async (tx) => {
+            const [entry] = await tx.list('entries', { userId: req.user.id, status: 'running' });
+            if (!entry) {
+                throw new HttpError(400, 'No running timer found');
+            }
+
+            entry.breaks = entry.breaks || [];
+            entry.breaks.push({ startTime: new Date().toISOString(), endTime: null });
+            entry.status = 'paused';
+            entry.updatedAt = new Date().toISOString();
+            Object.assign(entry, calculateDurations(entry));
+            return tx.update('entries', entry);
+        });
+        
+        console.log('Paused timer:', runningEntry.id);
+        publishEntry('timer.paused', runningEntry);
+        res.json({ success: true, entry: runningEntry });
+    } catch (error) {
+        sendError(res, error, 'Pause timer');
+    }
+});
+
+app.post('/api/extension/resume-timer', async (req, res) => {
+    try {
+        const pausedEntry = await auditedTransaction(req.user, async (tx) => {
+            const [entry] = await tx.list('entries', { userId: req.user.id, status: 'paused' });
+            if (!entry) {
+                throw new HttpError(400, 'No paused timer found');
+            }
+
+            const openBreak = entry.breaks.find(segment => !segment.endTime);
+            if (openBreak) {
+                openBreak.endTime = new Date().toISOString();
+            }
+            entry.status = 'running';
+            entry.updatedAt = new Date().toISOString();
+            Object.assign(entry, calculateDurations(entry));
+            return tx.update('entries', entry);
+        });
+        
+        console.log('Resumed timer:', pausedEntry.id);
+        publishEntry('timer.resumed', pausedEntry);
+        res.json({ success: true, entry: pausedEntry });
+    } catch (error) {
+        sendError(res, error, 'Resume timer');
+    }
+});
+
+const IDLE_ACTIONS = ['keep', 'discard', 'split'];
+
+// What to do with time the user was away (no input, or the computer asleep)
+// while the timer ran, from idleSince until now: keep counts it as work,
+// discard turns it into a break, and split ends the entry at idleSince,
+// records the idle span as an entry of its own to review and carries on in
+// a new timer.
+app.post('/api/extension/idle', async (req, res) => {
+    try {
+        const { action } = req.body;
+        if (!IDLE_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${IDLE_ACTIONS.join(', ')}` });
+        }
+        const idleSince = new Date(req.body.idleSince);
+        if (Number.isNaN(idleSince.getTime()) || idleSince > new Date()) {
+            return res.status(400).json({ error: 'idleSince must be a past ISO 8601 date and time' });
+        }
+
+        const { entry, stoppedEntry, idleEntry } = await auditedTransaction(req.user, async (tx) => {
+            const [running] = await tx.list('entries', { userId: req.user.id, status: 'running' });
+            if (!running) {
+                throw new HttpError(400, 'No running timer found');
+            }
+
+            // Idle time never reaches back before the start or into a break
+            const now = new Date().toISOString();
+            const from = [running.startTime, ...(running.breaks || []).map(segment => segment.endTime), idleSince.toISOString()]
+                .reduce((latest, time) => new Date(time) > new Date(latest) ? time : latest);
+            if (action === 'keep' || new Date(from) >= new Date(now)) {
+                return { entry: running };
+            }
+            await assertPeriodOpen(tx, running.workspaceId, running.userId, running.startTime);
+
+            if (action === 'discard') {
+                running.breaks = [...(running.breaks || []), { startTime: from, endTime: now }];
+                running.updatedAt = now;
+                Object.assign(running, calculateDurations(running));
+                return { entry: await tx.update('entries', running) };
+            }
+
+            const carried = {
+                userId: running.userId,
+                workspaceId: running.workspaceId,
+                projectId: running.projectId,
+                description: running.description,
+                tagIds: running.tagIds || [],
+                billable: running.billable,
+                ...(running.hourlyRate !== undefined && { hourlyRate: running.hourlyRate })
+            };
+            // Idle from the very start leaves nothing before it to keep
+            const stopped = new Date(from) > new Date(running.startTime)
+                ? await tx.update('entries', completeEntry(running, from))
+                : await tx.remove('entries', running.id);
+            const idle = { id: generateId(), ...carried, startTime: from, endTime: now, breaks: [], status: 'completed', needsReview: true, createdAt: now };
+            Object.assign(idle, calculateDurations(idle));
+            return {
+                stoppedEntry: stopped,
+                idleEntry: await tx.insert('entries', idle),
+                entry: await tx.insert('entries', {
+                    id: generateId(),
+                    ...carried,
+                    startTime: now,
+                    endTime: null,
+                    duration: 0,
+                    breakDuration: 0,
+                    breaks: [],
+                    status: 'running',
+                    createdAt: now
+                })
+            };
+        });
+
+        if (idleEntry) {
+            console.log('Split idle time off timer:', stoppedEntry.id);
+            publishEntry(stoppedEntry.status === 'completed' ? 'timer.stopped' : 'entry.deleted', stoppedEntry);
+            publishEntry('entry.created', idleEntry);
+            publishEntry('timer.started', entry);
+        } else if (action === 'discard') {
+            console.log('Discarded idle time on timer:', entry.id);
+            publishEntry('entry.updated', entry);
+        }
+        res.json({ success: true, entry, ...(idleEntry && { stoppedEntry, idleEntry }) });
+    } catch (error) {
+        sendError(res, error, 'Idle time');
+    }
+});
+
+app.post('/api/extension/stop-timer', async (req, res) => {
+    try {
+        const { activeEntry, budgetAlerts } = await auditedTransaction(req.user, async (tx) => {
+            const entry = findActiveEntry(await tx.list('entries', { userId: req.user.id }));
+            if (!entry) {
+                throw new HttpError(400, 'No running timer found');
+            }
+
+            const completed = await tx.update('entries', completeEntry(entry));
+            return { activeEntry: completed, budgetAlerts: await getBudgetAlerts(tx, completed) };
+        });
+        
+        publishEntry('timer.stopped', activeEntry);
+        console.log('Stopped timer:', activeEntry.id, 'Duration:', activeEntry.duration + 's', 'Breaks:', activeEntry.breakDuration + 's');
+        res.json({ success: true, entry: activeEntry, budgetAlerts });
+    } catch (error) {
+        sendError(res, error, 'Stop timer');
+    }
+});
+
+// Statistics endpoint
+// Takes the time entry filters (?tagId=, ?projectId=, ...), which narrow
+// every total but not the active timer
+app.get('/api/stats', resolveWorkspace, async (req, res) => {
+    try {
+        const filters = entrySchema.parseListQuery(req.query);
+        const allEntries = await storage.list('entries', { userId: req.user.id });
+        const projects = await storage.list('projects', { workspaceId: req.workspace.id });
+        const projectById = await getBillingProjects(storage, req.workspace.id);
+        // A running timer counts with the time it has so far
+        const entries = allEntries
+            .filter(entry => entry.workspaceId === req.workspace.id
+                && entrySchema.matchesFilters(entry, filters, projectById.get(entry.projectId)))
+            .map(entry => isActive(entry) ? withLiveDurations(entry) : entry);
+        
+        const today = new Date().toDateString();
+        const todayEntries = entries.filter(entry => 
+            new Date(entry.startTime).toDateString() === today
+        );
+        
+        const totalTimeToday = todayEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0);
+        const breakTimeToday = todayEntries.reduce((sum, entry) => sum + (entry.breakDuration || 0), 0);
+        const activeTimer = findActiveEntry(allEntries);
+        
+        // Calculate total time this week
+        const weekStartDay = workspaceWeekStart(req.workspace);
+        const weekStart = startOfWeek(new Date(), weekStartDay);
+        
+        const weekEntries = entries.filter(entry => 
+            new Date(entry.startTime) >= weekStart
+        );
+        const totalTimeWeek = weekEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0);
+        const breakTimeWeek = weekEntries.reduce((sum, entry) => sum + (entry.breakDuration || 0), 0);
+
+        const clientList = await storage.list('clients', { workspaceId: req.workspace.id });
+        const tagList = await storage.list('tags', { workspaceId: req.workspace.id });
+        const billingToday = sumBilling(todayEntries, projectById);
+        const billingWeek = sumBilling(weekEntries, projectById);
+        
+        res.json({
+            totalProjects: projects.filter(project => !project.archivedAt).length,
+            totalEntries: entries.length,
+            totalTimeToday,
+            totalTimeWeek,
+            breakTimeToday,
+            breakTimeWeek,
+            billableTimeToday: billingToday.billableDuration,
+            billableTimeWeek: billingWeek.billableDuration,
+            billableAmountToday: billingToday.amount,
+            billableAmountWeek: billingWeek.amount,
+            currency: workspaceCurrency(req.workspace),
+            clientsWeek: sumByClient(weekEntries, projectById, clientList, req.workspace),
+            tagsWeek: sumByTag(weekEntries, projectById, tagList),
+            weekStart: weekStartDay,
+            goals: {
+                daily: goalProgress(req.user.dailyGoalHours, totalTimeToday),
+                weekly: goalProgress(req.user.weeklyGoalHours, totalTimeWeek)
+            },
+            entriesCount: todayEntries.length,
+            activeTimer: withLiveDurations(activeTimer),
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        sendError(res, error, 'Stats');
+    }
+});
+
+// Team view: hours by member and by project for a date range
+app.get('/api/team/summary', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const range = getDateRange(req.query, workspaceWeekStart(req.workspace));
+        const workspaceId = req.workspace.id;
+
+        const { memberships, users, projectById, clientList, entries } = await storage.transaction(async (tx) => ({
+            memberships: await tx.list('memberships', { workspaceId }),
+            users: await tx.list('users'),
+            projectById: await getBillingProjects(tx, workspaceId),
+            clientList: await tx.list('clients', { workspaceId }),
+            entries: (await tx.list('entries', { workspaceId })).filter(entry => isInRange(entry, range))
+        }));
+
+        const userById = new Map(users.map(user => [user.id, user]));
+        const members = new Map();
+        const projectTotals = new Map();
+
+        const memberRow = (userId, role = null) => {
+            if (!members.has(userId)) {
+                const user = userById.get(userId);
+                members.set(userId, {
+                    userId,
+                    name: user ? user.name : 'Former user',
+                    email: user ? user.email : null,
+                    role,
+                    totalDuration: 0,
+                    billableDuration: 0,
+                    amount: 0,
+                    entriesCount: 0,
+                    projects: new Map()
+                });
+            }
+            return members.get(userId);
+        };
+
+        const projectRow = (projectId) => {
+            if (!projectTotals.has(projectId)) {
+                const project = projectById.get(projectId);
+                projectTotals.set(projectId, {
+                    projectId,
+                    clientId: project ? project.clientId || null : null,
+                    name: project ? project.name : 'Deleted project',
+                    color: project ? project.color : null,
+                    totalDuration: 0,
+                    billableDuration: 0,
+                    amount: 0,
+                    members: new Map()
+                });
+            }
+            return projectTotals.get(projectId);
+        };
+
+        // Members without hours in the range still show up
+        memberships.forEach(membership => memberRow(membership.userId, membership.role));
+
+        for (const entry of entries) {
+            const seconds = workedSeconds(entry);
+            const member = memberRow(entry.userId);
+            const project = projectRow(entry.projectId);
+
+            member.totalDuration += seconds;
+            member.entriesCount++;
+            member.projects.set(entry.projectId, (member.projects.get(entry.projectId) || 0) + seconds);
+            project.totalDuration += seconds;
+            project.members.set(entry.userId, (project.members.get(entry.userId) || 0) + seconds);
+
+            const projectDoc = projectById.get(entry.projectId);
+            if (billing.isBillable(entry, projectDoc)) {
+                const amount = billing.entryAmount(entry, projectDoc, seconds);
+                member.billableDuration += seconds;
+                member.amount = billing.roundMoney(member.amount + amount);
+                project.billableDuration += seconds;
+                project.amount = billing.roundMoney(project.amount + amount);
+            }
+        }
+        const totals = sumBilling(entries, projectById);
+
+        const byDuration = (a, b) => b.duration - a.duration;
+        res.json({
+            workspace: { id: req.workspace.id, name: req.workspace.name },
+            from: dayKey(range.from),
+            to: dayKey(new Date(range.to.getTime() - 1)),
+            currency: workspaceCurrency(req.workspace),
+            totalDuration: totals.duration,
+            billableDuration: totals.billableDuration,
+            totalAmount: totals.amount,
+            members: [...members.values()].map(member => ({
+                ...member,
+                projects: [...member.projects].map(([projectId, duration]) => ({
+                    projectId,
+                    name: projectRow(projectId).name,
+                    duration
+                })).sort(byDuration)
+            })).sort((a, b) => b.totalDuration - a.totalDuration),
+            clients: sumByClient(entries, projectById, clientList, req.workspace),
+            projects: [...projectTotals.values()].map(project => ({
+                ...project,
+                members: [...project.members].map(([userId, duration]) => ({
+                    userId,
+                    name: memberRow(userId).name,
+                    duration
+                })).sort(byDuration)
+            })).sort((a, b) => b.totalDuration - a.totalDuration)
+        });
+    } catch (error) {
+        sendError(res, error, 'Team summary');
+    }
+});
+
+// One member's timesheet: their entries in the range, grouped by day.
+// Managers can open anyone's; members only their own.
+app.get('/api/team/timesheets/:userId', resolveWorkspace, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (userId !== req.user.id && !workspaces.isManager(req)) {
+            return res.status(403).json({ error: 'Only workspace managers can do this' });
+        }
+
+        const range = getDateRange(req.query, workspaceWeekStart(req.workspace));
+        const user = await storage.get('users', userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const entries = (await storage.list('entries', { workspaceId: req.workspace.id, userId }))
+            .filter(entry => isInRange(entry, range))
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        const projectById = await getBillingProjects(storage, req.workspace.id);
+
+        const days = new Map();
+        for (const entry of entries) {
+            const key = dayKey(entry.startTime);
+            if (!days.has(key)) {
+                days.set(key, { date: key, duration: 0, amount: 0, entries: [] });
+            }
+            const day = days.get(key);
+            const project = projectById.get(entry.projectId);
+            const seconds = workedSeconds(entry);
+            const amount = billing.entryAmount(entry, project, seconds);
+
+            day.duration += seconds;
+            day.amount = billing.roundMoney(day.amount + amount);
+            day.entries.push({
+                ...withLiveDurations(entry),
+                billable: billing.isBillable(entry, project),
+                hourlyRate: billing.resolveRate(entry, project),
+                amount
+            });
+        }
+        const totals = sumBilling(entries, projectById);
+
+        res.json({
+            user: { id: user.id, name: user.name, email: user.email },
+            from: dayKey(range.from),
+            to: dayKey(new Date(range.to.getTime() - 1)),
+            currency: workspaceCurrency(req.workspace),
+            totalDuration: totals.duration,
+            billableDuration: totals.billableDuration,
+            totalAmount: totals.amount,
+            days: [...days.values()]
+        });
+    } catch (error) {
+        sendError(res, error, 'Timesheet');
+    }
+});
+
+// Budget usage of every project with a budget, fullest first.
+// ?over=true narrows it to projects that are over budget.
+app.get('/api/reports/budgets', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { projectById, entries } = await storage.transaction(async (tx) => ({
+            projectById: await getBillingProjects(tx, workspaceId),
+            entries: await tx.list('entries', { workspaceId })
+        }));
+
+        const budgets = [...projectById.values()]
+            .filter(project => project.budget)
+            .map(project => billing.budgetStatus(project, entries
+                .filter(entry => entry.projectId === project.id)
+                .map(entry => ({ entry, seconds: workedSeconds(entry) }))))
+            .filter(status => req.query.over !== 'true' || status.overBudget)
+            .sort((a, b) => b.percentUsed - a.percentUsed);
+
+        res.json({
+            currency: workspaceCurrency(req.workspace),
+            overBudgetCount: budgets.filter(status => status.overBudget).length,
+            budgets
+        });
+    } catch (error) {
+        sendError(res, error, 'Budget report');
+    }
+});
+
+// Time reports for any date range (?from=&to=, this week by default). All
+// take the time entry filters, ?rounding= (minutes) with ?roundingMode= and
+// ?weekStart=; durations are in seconds, after rounding.
+app.get('/api/reports/summary', resolveWorkspace, async (req, res) => {
+    try {
+        const groupBy = reports.parseGroupBy(req.query.groupBy);
+        const weekStart = getReportWeekStart(req);
+        const range = getDateRange(req.query, weekStart);
+        const items = await getReportItems(req, range);
+
+        res.json({
+            ...reportHeader(req, range, weekStart, items),
+            groupBy,
+            groups: reports.summarize(items, groupBy, { range, weekStart })
+        });
+    } catch (error) {
+        sendError(res, error, 'Summary report');
+    }
+});
+
+app.get('/api/reports/detailed', resolveWorkspace, async (req, res) => {
+    try {
+        const weekStart = getReportWeekStart(req);
+        const range = getDateRange(req.query, weekStart);
+        const items = await getReportItems(req, range);
+
+        res.json({
+            ...reportHeader(req, range, weekStart, items),
+            entries: reports.detailRows(items)
+        });
+    } catch (error) {
+        sendError(res, error, 'Detailed report');
+    }
+});
 
-// Ensure data directory exists
-async function ensureDataDir() {
+// ?week= is any day of the wanted week, this week by default
+app.get('/api/reports/timesheet', resolveWorkspace, async (req, res) => {
     try {
-        await fs.access(DATA_DIR);
+        const weekStart = getReportWeekStart(req);
+        const from = startOfWeek(req.query.week ? parseDay(req.query.week, 'week') : new Date(), weekStart);
+        const range = { from, to: addDays(from, 7) };
+        const items = await getReportItems(req, range);
+
+        res.json({
+            ...reportHeader(req, range, weekStart, items),
+            ...reports.timesheetGrid(items, from)
+        });
     } catch (error) {
-        await fs.mkdir(DATA_DIR, { recursive: true });
+        sendError(res, error, 'Timesheet report');
     }
-}
+});
 
-// Read JSON file with fallback
-async function readJSONFile(filePath, defaultData = []) {
+// Timesheet approval
+//
+// Members submit a week of their time; managers approve it or reject it with
+// a comment. Submitted and approved weeks are locked (see loadPeriodLocks).
+// ?userId= (or all) lets managers see others' timesheets, ?status= narrows
+// the list. Newest weeks first.
+app.get('/api/timesheets', resolveWorkspace, async (req, res) => {
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
+        const userId = req.query.userId || req.user.id;
+        if (userId !== req.user.id && !workspaces.isManager(req)) {
+            return res.status(403).json({ error: 'Only workspace managers can do this' });
+        }
+        const status = periods.parseTimesheetStatus(req.query.status);
+
+        const workspaceId = req.workspace.id;
+        const { timesheets, users } = await storage.transaction(async (tx) => ({
+            timesheets: await tx.list('timesheets', userId === 'all' ? { workspaceId } : { workspaceId, userId }),
+            users: await tx.list('users')
+        }));
+
+        const userById = new Map(users.map(user => [user.id, user]));
+        res.json(timesheets
+            .filter(sheet => !status || sheet.status === status)
+            .sort((a, b) => b.from.localeCompare(a.from) || a.userId.localeCompare(b.userId))
+            .map(sheet => ({ ...sheet, userName: userById.has(sheet.userId) ? userById.get(sheet.userId).name : 'Former user' })));
     } catch (error) {
-        // File doesn't exist or is invalid, return default data
-        await writeJSONFile(filePath, defaultData);
-        return defaultData;
+        sendError(res, error, 'Get timesheets');
     }
-}
+});
 
-// Write JSON file
-async function writeJSONFile(filePath, data) {
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
-}
+// Submits the week containing ?week= (this week by default), or submits a
+// rejected week again. Totals are recorded as submitted.
+app.post('/api/timesheets', resolveWorkspace, async (req, res) => {
+    try {
+        const from = startOfWeek(req.body.week ? parseDay(req.body.week, 'week') : new Date(), workspaceWeekStart(req.workspace));
+        const to = addDays(from, 7);
+        if (from > new Date()) {
+            return res.status(400).json({ error: 'Weeks that have not started cannot be submitted' });
+        }
 
-// Initialize default data
-async function initializeData() {
-    await ensureDataDir();
-    
-    // Initialize projects if they don't exist
-    const projects = await readJSONFile(PROJECTS_FILE, [
-        { id: '1', name: 'Client A - Bookkeeping', color: '#3B82F6', createdAt: new Date().toISOString() },
-        { id: '2', name: 'Client B - Tax Prep', color: '#10B981', createdAt: new Date().toISOString() },
-        { id: '3', name: 'Client C - Payroll', color: '#F59E0B', createdAt: new Date().toISOString() }
-    ]);
-    
-    // Initialize entries if they don't exist
-    const entries = await readJSONFile(ENTRIES_FILE, []);
-}
+        const { timesheet, created } = await storage.transaction(async (tx) => {
+            const workspaceId = req.workspace.id;
+            const userId = req.user.id;
+            const sheets = await tx.list('timesheets', { workspaceId, userId });
+            const existing = sheets.find(sheet => sheet.from === dayKey(from));
+            // A changed weekStart can make weeks overlap
+            const overlapping = sheets.find(sheet => periods.LOCKING_STATUSES.includes(sheet.status)
+                && sheet.from <= dayKey(addDays(to, -1)) && dayKey(from) <= sheet.to);
+            if (overlapping) {
+                throw new HttpError(409, `The week of ${overlapping.from} is already ${overlapping.status}`, { timesheet: overlapping });
+            }
+            const closed = (await loadPeriodLocks(tx, workspaceId))({ userId, startTime: addDays(to, -1).toISOString() });
+            if (closed) {
+                throw closed;
+            }
 
-// Utility function to generate unique IDs
-function generateId() {
-    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
-}
+            const entries = (await tx.list('entries', { workspaceId, userId })).filter(entry => isInRange(entry, { from, to }));
+            if (entries.some(isActive)) {
+                throw new HttpError(409, 'Stop the running timer before submitting its week');
+            }
+            const totals = sumBilling(entries, await getBillingProjects(tx, workspaceId));
 
-// API Routes
+            const now = new Date().toISOString();
+            const sheet = {
+                ...(existing || { id: generateId(), workspaceId, userId, createdAt: now }),
+                from: dayKey(from),
+                to: dayKey(addDays(to, -1)),
+                status: 'submitted',
+                duration: totals.duration,
+                billableDuration: totals.billableDuration,
+                entriesCount: entries.length,
+                submittedAt: now,
+                reviewedBy: null,
+                reviewedAt: null,
+                comment: '',
+                updatedAt: now
+            };
+            return {
+                timesheet: existing ? await tx.update('timesheets', sheet) : await tx.insert('timesheets', sheet),
+                created: !existing
+            };
+        });
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        message: 'Time Tracker API is running'
-    });
+        console.log('Submitted timesheet:', timesheet.id, timesheet.from);
+        res.status(created ? 201 : 200).json(timesheet);
+    } catch (error) {
+        sendError(res, error, 'Submit timesheet');
+    }
 });
 
-// Extension API endpoints
-app.get('/api/extension/ping', (req, res) => {
-    res.json({ 
-        status: 'online', 
-        timestamp: new Date().toISOString(),
-        message: 'Extension API is working!'
-    });
+// Approving keeps the week locked; an optional comment goes with it
+app.post('/api/timesheets/:id/approve', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const comment = periods.parseComment(req.body.comment);
+        const timesheet = await storage.transaction(async (tx) => {
+            const sheet = await getWorkspaceTimesheet(tx, req.workspace.id, req.params.id);
+            if (sheet.status !== 'submitted') {
+                throw new HttpError(409, `Only submitted timesheets can be approved; this one is ${sheet.status}`);
+            }
+            const now = new Date().toISOString();
+            return tx.update('timesheets', { ...sheet, status: 'approved', reviewedBy: req.user.id, reviewedAt: now, comment, updatedAt: now });
+        });
+
+        console.log('Approved timesheet:', timesheet.id);
+        res.json(timesheet);
+    } catch (error) {
+        sendError(res, error, 'Approve timesheet');
+    }
 });
 
-app.get('/api/extension/status', async (req, res) => {
+// Rejecting unlocks the week so the member can fix it and submit it again.
+// Approved weeks can be rejected too, to reopen them.
+app.post('/api/timesheets/:id/reject', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const projects = await readJSONFile(PROJECTS_FILE, []);
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        
-        // Find active timer
-        const activeEntry = entries.find(entry => entry.status === 'running');
-        
-        res.json({
-            isOnline: true,
-            projectCount: projects.length,
-            activeTimer: activeEntry || null,
-            timestamp: new Date().toISOString()
+        const comment = periods.parseComment(req.body.comment, { required: true });
+        const timesheet = await storage.transaction(async (tx) => {
+            const sheet = await getWorkspaceTimesheet(tx, req.workspace.id, req.params.id);
+            if (sheet.status === 'rejected') {
+                throw new HttpError(409, 'Timesheet is already rejected');
+            }
+            const now = new Date().toISOString();
+            return tx.update('timesheets', { ...sheet, status: 'rejected', reviewedBy: req.user.id, reviewedAt: now, comment, updatedAt: now });
         });
+
+        console.log('Rejected timesheet:', timesheet.id);
+        res.json(timesheet);
     } catch (error) {
-        console.error('Extension status error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Reject timesheet');
     }
 });
 
-// Projects endpoints
-app.get('/api/projects', async (req, res) => {
+// Invoices endpoints (managers only)
+//
+// An invoice bills the uninvoiced, billable, completed entries of some
+// projects in a date range. Its entries are locked until the invoice is
+// deleted. Numbers are handed out in sequence when an invoice is first
+// sent, so deleted drafts never leave gaps.
+app.get('/api/invoices', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const projects = await readJSONFile(PROJECTS_FILE, []);
-        res.json(projects);
+        const list = await storage.list('invoices', { workspaceId: req.workspace.id });
+        const { status } = req.query;
+        res.json(list
+            .filter(invoice => !status || invoice.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
     } catch (error) {
-        console.error('Get projects error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Get invoices');
     }
 });
 
-app.post('/api/projects', async (req, res) => {
+// Bills a client (clientId: all its projects unless projectIds narrows them
+// down) or an ad-hoc client with explicit projectIds. With dryRun: true the
+// invoice is only previewed, nothing is saved or locked.
+app.post('/api/invoices', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const { name, color } = req.body;
-        if (!name) {
-            return res.status(400).json({ error: 'Project name is required' });
+        const { clientId, groupBy = 'project', dueDate = null, notes = '', dryRun = false } = req.body;
+        let { projectIds } = req.body;
+        if (projectIds !== undefined && (!Array.isArray(projectIds) || projectIds.length === 0)) {
+            return res.status(400).json({ error: 'projectIds must list the projects to invoice' });
+        }
+        if (!clientId && !projectIds) {
+            return res.status(400).json({ error: 'clientId or projectIds is required' });
+        }
+        if (!invoices.GROUP_BY.includes(groupBy)) {
+            return res.status(400).json({ error: `groupBy must be one of: ${invoices.GROUP_BY.join(', ')}` });
+        }
+        if (!req.body.from || !req.body.to) {
+            return res.status(400).json({ error: 'from and to are required' });
         }
+        const range = getDateRange(req.body, workspaceWeekStart(req.workspace));
+        const taxRate = parseTaxRate(req.body.taxRate);
+        const workspaceId = req.workspace.id;
 
-        const projects = await readJSONFile(PROJECTS_FILE, []);
-        const newProject = {
-            id: generateId(),
-            name: name.trim(),
-            color: color || '#3B82F6',
-            createdAt: new Date().toISOString()
-        };
+        const invoice = await auditedTransaction(req.user, async (tx) => {
+            const projectById = await getBillingProjects(tx, workspaceId);
+            let client;
+            let currency = workspaceCurrency(req.workspace);
 
-        projects.push(newProject);
-        await writeJSONFile(PROJECTS_FILE, projects);
-        
-        console.log('Created new project:', newProject.name);
-        res.status(201).json(newProject);
+            if (clientId) {
+                const record = await getWorkspaceClient(tx, workspaceId, clientId);
+                client = { id: record.id, name: record.name, email: record.email, address: record.address };
+                currency = record.currency || currency;
+                projectIds = projectIds || [...projectById.values()]
+                    .filter(project => project.clientId === record.id)
+                    .map(project => project.id);
+            } else {
+                client = parseInvoiceClient(req.body.client);
+            }
+
+            const unknown = projectIds.filter(id => !projectById.has(String(id)));
+            if (unknown.length > 0) {
+                throw new HttpError(400, 'Project not found in this workspace', { projectIds: unknown });
+            }
+
+            const ids = projectIds.map(String);
+            const entries = (await tx.list('entries', { workspaceId })).filter(entry =>
+                ids.includes(entry.projectId)
+                && !entry.invoiceId
+                && !isActive(entry)
+                && billing.isBillable(entry, projectById.get(entry.projectId))
+                && isInRange(entry, range));
+            if (entries.length === 0) {
+                throw new HttpError(400, 'There is no uninvoiced billable time for these projects in this period');
+            }
+
+            const lineItems = invoices.buildLineItems(
+                entries.map(entry => ({ entry, seconds: workedSeconds(entry) })),
+                projectById,
+                groupBy
+            );
+            const draft = {
+                id: generateId(),
+                workspaceId,
+                number: null,
+                status: 'draft',
+                client,
+                projectIds: ids,
+                from: dayKey(range.from),
+                to: dayKey(new Date(range.to.getTime() - 1)),
+                groupBy,
+                currency,
+                lineItems,
+                ...invoices.calculateTotals(lineItems, taxRate),
+                notes: String(notes),
+                dueDate,
+                issueDate: null,
+                createdBy: req.user.id,
+                createdAt: new Date().toISOString()
+            };
+            if (dryRun) {
+                return draft;
+            }
+
+            for (const entry of entries) {
+                await tx.update('entries', { ...entry, invoiceId: draft.id, updatedAt: new Date().toISOString() });
+            }
+            return tx.insert('invoices', draft);
+        });
+
+        if (!dryRun) {
+            console.log('Created invoice draft:', invoice.id, 'Total:', invoice.total, invoice.currency);
+        }
+        res.status(dryRun ? 200 : 201).json(invoice);
     } catch (error) {
-        console.error('Create project error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Create invoice');
     }
 });
 
-app.delete('/api/projects/:id', async (req, res) => {
+app.get('/api/invoices/:id', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const { id } = req.params;
-        const projects = await readJSONFile(PROJECTS_FILE, []);
-        
-        const projectIndex = projects.findIndex(project => project.id === id);
-        if (projectIndex === -1) {
-            return res.status(404).json({ error: 'Project not found' });
-        }
-        
-        const deletedProject = projects.splice(projectIndex, 1)[0];
-        await writeJSONFile(PROJECTS_FILE, projects);
-        
-        console.log('Deleted project:', deletedProject.name);
-        res.json({ message: 'Project deleted successfully' });
+        const invoice = await storage.transaction(tx => getWorkspaceInvoice(tx, req.workspace.id, req.params.id));
+        res.json(invoice);
     } catch (error) {
-        console.error('Delete project error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Get invoice');
     }
 });
 
-// Time entries endpoints
-app.get('/api/time-entries', async (req, res) => {
+app.get('/api/invoices/:id/html', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        // Sort by most recent first
-        entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        res.json(entries);
+        const invoice = await storage.transaction(tx => getWorkspaceInvoice(tx, req.workspace.id, req.params.id));
+        res.type('html').send(invoices.renderInvoiceHtml(invoice, { issuer: req.workspace.name }));
     } catch (error) {
-        console.error('Get entries error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Render invoice');
     }
 });
 
-app.post('/api/time-entries', async (req, res) => {
+// Changes status; client, notes, dueDate and taxRate only while a draft
+app.put('/api/invoices/:id', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const { projectId, description, startTime, endTime, duration } = req.body;
-        
-        if (!projectId || !startTime) {
-            return res.status(400).json({ error: 'Project ID and start time are required' });
-        }
+        const { status, notes, dueDate, client, taxRate } = req.body;
 
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        const newEntry = {
-            id: generateId(),
-            projectId,
-            description: description || '',
-            startTime,
-            endTime: endTime || null,
-            duration: duration || 0,
-            status: endTime ? 'completed' : 'running',
-            createdAt: new Date().toISOString()
-        };
+        const invoice = await auditedTransaction(req.user, async (tx) => {
+            const existing = await getWorkspaceInvoice(tx, req.workspace.id, req.params.id);
+            const editsContent = [notes, dueDate, client, taxRate].some(value => value !== undefined);
+            if (editsContent && existing.status !== 'draft') {
+                throw new HttpError(409, 'Only draft invoices can be edited');
+            }
 
-        entries.push(newEntry);
-        await writeJSONFile(ENTRIES_FILE, entries);
-        
-        console.log('Created new time entry:', newEntry.id);
-        res.status(201).json(newEntry);
+            const now = new Date().toISOString();
+            const updated = {
+                ...existing,
+                ...(notes !== undefined && { notes: String(notes) }),
+                ...(dueDate !== undefined && { dueDate }),
+                ...(client !== undefined && { client: parseInvoiceClient(client) }),
+                ...(taxRate !== undefined && invoices.calculateTotals(existing.lineItems, parseTaxRate(taxRate))),
+                updatedAt: now
+            };
+
+            if (status !== undefined && status !== existing.status) {
+                invoices.assertTransition(existing.status, status);
+                updated.status = status;
+
+                if (status === 'sent' && !existing.number) {
+                    const workspace = await tx.get('workspaces', req.workspace.id);
+                    const sequence = (workspace.invoiceSequence || 0) + 1;
+                    await tx.update('workspaces', { ...workspace, invoiceSequence: sequence });
+                    updated.number = invoices.formatInvoiceNumber(sequence);
+                    updated.issueDate = now;
+                }
+                if (status === 'sent') {
+                    updated.sentAt = now;
+                }
+                updated.paidAt = status === 'paid' ? now : null;
+            }
+
+            return tx.update('invoices', updated);
+        });
+
+        console.log('Updated invoice:', invoice.number || invoice.id, 'Status:', invoice.status);
+        res.json(invoice);
     } catch (error) {
-        console.error('Create entry error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Update invoice');
     }
 });
 
-app.put('/api/time-entries/:id', async (req, res) => {
+// Deleting a draft releases its entries for the next invoice
+app.delete('/api/invoices/:id', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
+        await auditedTransaction(req.user, async (tx) => {
+            const invoice = await getWorkspaceInvoice(tx, req.workspace.id, req.params.id);
+            if (invoice.status !== 'draft' || invoice.number) {
+                throw new HttpError(409, 'Only drafts that were never sent can be deleted');
+            }
 
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        const entryIndex = entries.findIndex(entry => entry.id === id);
-
-        if (entryIndex === -1) {
-            return res.status(404).json({ error: 'Time entry not found' });
-        }
+            const entries = await tx.list('entries', { workspaceId: req.workspace.id });
+            for (const entry of entries.filter(item => item.invoiceId === invoice.id)) {
+                const { invoiceId, ...released } = entry;
+                await tx.update('entries', { ...released, updatedAt: new Date().toISOString() });
+            }
+            await tx.remove('invoices', invoice.id);
+        });
 
-        entries[entryIndex] = { ...entries[entryIndex], ...updates, updatedAt: new Date().toISOString() };
-        await writeJSONFile(ENTRIES_FILE, entries);
-        
-        console.log('Updated time entry:', id);
-        res.json(entries[entryIndex]);
+        console.log('Deleted invoice draft:', req.params.id);
+        res.json({ message: 'Invoice deleted and its time entries released' });
     } catch (error) {
-        console.error('Update entry error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Delete invoice');
     }
 });
 
-app.delete('/api/time-entries/:id', async (req, res) => {
+// Combined data endpoint for web app
+app.get('/api/data', resolveWorkspace, async (req, res) => {
     try {
-        const { id } = req.params;
-        const entries = await readJSONFile(ENTRIES_FILE, []);
+        const projects = await storage.list('projects', { workspaceId: req.workspace.id });
+        const entries = await storage.list('entries', { workspaceId: req.workspace.id, userId: req.user.id });
         
-        const entryIndex = entries.findIndex(entry => entry.id === id);
-        if (entryIndex === -1) {
-            return res.status(404).json({ error: 'Time entry not found' });
-        }
-        
-        const deletedEntry = entries.splice(entryIndex, 1)[0];
-        await writeJSONFile(ENTRIES_FILE, entries);
-        
-        console.log('Deleted time entry:', id);
-        res.json({ message: 'Time entry deleted successfully' });
+        res.json({
+            workspace: req.workspace,
+            projects,
+            entries,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        console.error('Delete entry error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Data endpoint');
     }
 });
 
-// Extension timer endpoints
-app.post('/api/extension/start-timer', async (req, res) => {
+// Audit log
+//
+// Every create, update, delete and restore of entries, projects and
+// workspace settings in the current workspace, newest first, with the
+// actor and the full document before and after. Managers see everything;
+// members see the history of their own entries. Takes ?entityType=,
+// ?entityId=, ?operation=, ?actorId=, ?from= and ?to= (days, inclusive),
+// paged with ?limit= and ?page=.
+app.get('/api/audit', resolveWorkspace, async (req, res) => {
     try {
-        const { projectId, description } = req.body;
-        
-        if (!projectId) {
-            return res.status(400).json({ error: 'Project ID is required' });
-        }
+        const filters = audit.parseAuditQuery(req.query);
+        const isManager = workspaces.isManager(req);
 
-        // Stop any running timers first
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        const runningEntry = entries.find(entry => entry.status === 'running');
-        
-        if (runningEntry) {
-            runningEntry.endTime = new Date().toISOString();
-            runningEntry.status = 'completed';
-            runningEntry.duration = Math.floor((new Date(runningEntry.endTime) - new Date(runningEntry.startTime)) / 1000);
-            console.log('Stopped previous timer:', runningEntry.id);
-        }
+        const records = (await storage.list('audit', filters.entityId ? { entityId: filters.entityId } : { workspaceId: req.workspace.id }))
+            .filter(record => record.workspaceId === req.workspace.id
+                && audit.matchesAuditFilters(record, filters)
+                && (isManager || (record.entityType === 'entry' && audit.snapshotOf(record).userId === req.user.id)))
+            .reverse();
+
+        const start = (filters.page - 1) * filters.limit;
+        res.json({
+            records: records.slice(start, start + filters.limit),
+            total: records.length,
+            page: filters.page,
+            pageCount: Math.ceil(records.length / filters.limit),
+            limit: filters.limit
+        });
+    } catch (error) {
+        sendError(res, error, 'Audit log');
+    }
+});
 
-        // Start new timer
-        const newEntry = {
+// Webhooks (managers only)
+//
+// Subscriptions that POST the workspace's timer, entry and project events
+// (webhooks.WEBHOOK_EVENTS) to a URL, signed with the webhook's secret. The
+// secret is only shown when the webhook is created or the secret rotated.
+// Each webhook keeps a log of its recent deliveries and their attempts.
+async function getWorkspaceWebhook(tx, workspaceId, id) {
+    const webhook = await tx.get('webhooks', id);
+    if (!webhook || webhook.workspaceId !== workspaceId) {
+        throw new HttpError(404, 'Webhook not found');
+    }
+    return webhook;
+}
+
+app.get('/api/webhooks', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const list = await storage.list('webhooks', { workspaceId: req.workspace.id });
+        res.json(list.map(webhooks.publicWebhook));
+    } catch (error) {
+        sendError(res, error, 'Get webhooks');
+    }
+});
+
+// url is required; events defaults to all of them
+app.post('/api/webhooks', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const fields = webhooks.parseWebhookFields(req.body, { requireUrl: true });
+        const now = new Date().toISOString();
+        const webhook = await storage.transaction(tx => tx.insert('webhooks', {
             id: generateId(),
-            projectId,
-            description: description || '',
-            startTime: new Date().toISOString(),
-            endTime: null,
-            duration: 0,
-            status: 'running',
-            createdAt: new Date().toISOString()
-        };
+            workspaceId: req.workspace.id,
+            description: '',
+            events: webhooks.WEBHOOK_EVENTS,
+            active: true,
+            ...fields,
+            secret: auth.generateToken('whsec'),
+            createdBy: req.user.id,
+            createdAt: now,
+            updatedAt: now
+        }));
 
-        entries.push(newEntry);
-        await writeJSONFile(ENTRIES_FILE, entries);
-        
-        console.log('Started new timer:', newEntry.id);
-        res.json({ success: true, entry: newEntry });
+        console.log('Created webhook:', webhook.id, webhook.url);
+        res.status(201).json(webhook);
     } catch (error) {
-        console.error('Start timer error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Create webhook');
     }
 });
 
-app.post('/api/extension/stop-timer', async (req, res) => {
+app.get('/api/webhooks/:id', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        const runningEntry = entries.find(entry => entry.status === 'running');
-        
-        if (!runningEntry) {
-            return res.status(400).json({ error: 'No running timer found' });
-        }
+        const webhook = await storage.transaction(tx => getWorkspaceWebhook(tx, req.workspace.id, req.params.id));
+        res.json(webhooks.publicWebhook(webhook));
+    } catch (error) {
+        sendError(res, error, 'Get webhook');
+    }
+});
 
-        runningEntry.endTime = new Date().toISOString();
-        runningEntry.status = 'completed';
-        runningEntry.duration = Math.floor((new Date(runningEntry.endTime) - new Date(runningEntry.startTime)) / 1000);
+app.put('/api/webhooks/:id', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const fields = webhooks.parseWebhookFields(req.body);
+        const webhook = await storage.transaction(async (tx) => {
+            const existing = await getWorkspaceWebhook(tx, req.workspace.id, req.params.id);
+            return tx.update('webhooks', { ...existing, ...fields, updatedAt: new Date().toISOString() });
+        });
 
-        await writeJSONFile(ENTRIES_FILE, entries);
-        
-        console.log('Stopped timer:', runningEntry.id, 'Duration:', runningEntry.duration + 's');
-        res.json({ success: true, entry: runningEntry });
+        console.log('Updated webhook:', webhook.id);
+        res.json(webhooks.publicWebhook(webhook));
     } catch (error) {
-        console.error('Stop timer error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Update webhook');
     }
 });
 
-// Statistics endpoint
-app.get('/api/stats', async (req, res) => {
+// Deliveries still waiting for a retry are dropped with the webhook
+app.delete('/api/webhooks/:id', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        const projects = await readJSONFile(PROJECTS_FILE, []);
-        
-        const today = new Date().toDateString();
-        const todayEntries = entries.filter(entry => 
-            new Date(entry.startTime).toDateString() === today
-        );
-        
-        const totalTimeToday = todayEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0);
-        const activeTimer = entries.find(entry => entry.status === 'running');
-        
-        // Calculate total time this week
-        const weekStart = new Date();
-        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-        weekStart.setHours(0, 0, 0, 0);
-        
-        const weekEntries = entries.filter(entry => 
-            new Date(entry.startTime) >= weekStart
-        );
-        const totalTimeWeek = weekEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0);
-        
-        res.json({
-            totalProjects: projects.length,
-            totalEntries: entries.length,
-            totalTimeToday,
-            totalTimeWeek,
-            entriesCount: todayEntries.length,
-            activeTimer: activeTimer || null,
-            lastUpdated: new Date().toISOString()
+        await storage.transaction(async (tx) => {
+            const webhook = await getWorkspaceWebhook(tx, req.workspace.id, req.params.id);
+            for (const delivery of await tx.list('webhookDeliveries', { webhookId: webhook.id })) {
+                await tx.remove('webhookDeliveries', delivery.id);
+            }
+            await tx.remove('webhooks', webhook.id);
         });
+
+        console.log('Deleted webhook:', req.params.id);
+        res.json({ message: 'Webhook deleted' });
     } catch (error) {
-        console.error('Stats error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Delete webhook');
     }
 });
 
-// Combined data endpoint for web app
-app.get('/api/data', async (req, res) => {
+// The old secret stops working at once
+app.post('/api/webhooks/:id/rotate-secret', resolveWorkspace, requireManager, async (req, res) => {
     try {
-        const projects = await readJSONFile(PROJECTS_FILE, []);
-        const entries = await readJSONFile(ENTRIES_FILE, []);
-        
-        res.json({
-            projects,
-            entries,
-            timestamp: new Date().toISOString()
+        const webhook = await storage.transaction(async (tx) => {
+            const existing = await getWorkspaceWebhook(tx, req.workspace.id, req.params.id);
+            return tx.update('webhooks', { ...existing, secret: auth.generateToken('whsec'), updatedAt: new Date().toISOString() });
+        });
+
+        console.log('Rotated webhook secret:', webhook.id);
+        res.json(webhook);
+    } catch (error) {
+        sendError(res, error, 'Rotate webhook secret');
+    }
+});
+
+// Sends a "ping" event right away, to check the receiver and its signature
+// handling. Returns the queued delivery; its outcome shows in the log.
+app.post('/api/webhooks/:id/ping', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const webhook = await storage.transaction(tx => getWorkspaceWebhook(tx, req.workspace.id, req.params.id));
+        if (!webhook.active) {
+            throw new HttpError(409, 'Webhook is disabled; enable it first');
+        }
+        const delivery = await webhookDispatcher.ping(webhook);
+        res.status(202).json(delivery);
+    } catch (error) {
+        sendError(res, error, 'Ping webhook');
+    }
+});
+
+// Newest first; ?status= is pending, succeeded or failed
+app.get('/api/webhooks/:id/deliveries', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        if (req.query.status !== undefined && !webhooks.DELIVERY_STATUSES.includes(req.query.status)) {
+            throw new HttpError(400, `status must be one of: ${webhooks.DELIVERY_STATUSES.join(', ')}`);
+        }
+        const deliveries = await storage.transaction(async (tx) => {
+            const webhook = await getWorkspaceWebhook(tx, req.workspace.id, req.params.id);
+            return tx.list('webhookDeliveries', { webhookId: webhook.id, status: req.query.status });
+        });
+        res.json(deliveries.reverse());
+    } catch (error) {
+        sendError(res, error, 'Get webhook deliveries');
+    }
+});
+
+// Sends a logged payload again as a new delivery, e.g. after fixing the
+// receiver
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', resolveWorkspace, requireManager, async (req, res) => {
+    try {
+        const { webhook, delivery } = await storage.transaction(async (tx) => {
+            const found = await getWorkspaceWebhook(tx, req.workspace.id, req.params.id);
+            const logged = await tx.get('webhookDeliveries', req.params.deliveryId);
+            if (!logged || logged.webhookId !== found.id) {
+                throw new HttpError(404, 'Delivery not found');
+            }
+            return { webhook: found, delivery: logged };
         });
+        if (!webhook.active) {
+            throw new HttpError(409, 'Webhook is disabled; enable it first');
+        }
+        const created = await webhookDispatcher.redeliver(webhook, delivery);
+        res.status(202).json(created);
     } catch (error) {
-        console.error('Data endpoint error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Redeliver webhook');
     }
 });
 
+// Live updates
+// A server-sent event stream of the caller's own timer and entry changes
+// (in every workspace, like the timer itself) and of the current
+// workspace's projects. Events follow lib/events.js; the stream starts with
+// a "ready" event carrying the server time. EventSource can't send headers,
+// so an API token may come as ?token= here too.
+app.get('/api/events', resolveWorkspace, (req, res) => {
+    let unsubscribe = () => {};
+    const send = events.openStream(req, res, () => unsubscribe());
+
+    unsubscribe = eventBus.subscribe(event => {
+        const visible = event.userId ? event.userId === req.user.id : event.workspaceId === req.workspace.id;
+        if (visible) {
+            send(event);
+        }
+    });
+    send({ type: 'ready', workspaceId: req.workspace.id, userId: req.user.id, at: new Date().toISOString() });
+});
+
 // Export data endpoint
-app.get('/api/export', async (req, res) => {
+// Managers export the whole workspace (or one person with ?userId=),
+// members their own entries. ?format= is json (the default, a backup of the
+// workspace), csv or ics; every format takes the report filters and covers
+// all time unless ?from= or ?to= narrows it.
+app.get('/api/export', resolveWorkspace, async (req, res) => {
     try {
-        const projects = await readJSONFile(PROJECTS_FILE, []);
-        const entries = await readJSONFile(ENTRIES_FILE, []);
+        const format = exportFormats.parseFormat(req.query.format);
+        const range = {
+            from: req.query.from ? parseDay(req.query.from, 'from') : new Date(0),
+            to: req.query.to ? addDays(parseDay(req.query.to, 'to'), 1) : new Date(8640000000000000)
+        };
+        const items = await getReportItems(req, range);
+        const filename = `time-tracker-export${req.query.from ? '-' + req.query.from : ''}${req.query.to ? '-to-' + req.query.to : ''}`;
+
+        if (format === 'csv') {
+            const csv = exportFormats.toCsv(items, {
+                columns: exportFormats.parseColumns(req.query.columns),
+                delimiter: exportFormats.parseDelimiter(req.query.delimiter)
+            });
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(csv);
+        }
+
+        if (format === 'ics') {
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.ics"`);
+            return res.send(exportFormats.toIcs(items, { calendarName: `Time Tracker · ${req.workspace.name}`, host: req.hostname }));
+        }
+
+        const workspaceId = req.workspace.id;
+        const projects = await storage.list('projects', { workspaceId });
+        const clientList = await storage.list('clients', { workspaceId });
+        const tagList = await storage.list('tags', { workspaceId });
+        const entries = items.map(item => item.entry);
+        const projectById = await getBillingProjects(storage, workspaceId);
         
         const exportData = {
+            workspace: req.workspace,
+            clients: clientList,
             projects,
+            tags: tagList,
             entries,
+            summary: {
+                byClient: sumByClient(entries, projectById, clientList, req.workspace)
+            },
             exportedAt: new Date().toISOString(),
             version: '1.0'
         };
         
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', 'attachment; filename=time-tracker-export.json');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
         res.json(exportData);
     } catch (error) {
-        console.error('Export error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Export');
+    }
+});
+
+// Import endpoint
+// data is an /api/export JSON file, the web app's own export, or CSV text
+// (mapping names the columns; Toggl, Clockify and Harvest exports are
+// recognized by their headers). CSV may also be posted as text/csv with the
+// options in the query. Rows become the caller's entries in the current
+// workspace; a row with the start and end of an existing entry is a
+// duplicate and skipped. With dryRun: true nothing is saved and the report
+// shows what would happen.
+app.post('/api/import', resolveWorkspace, async (req, res) => {
+    try {
+        const options = typeof req.body === 'string' ? { ...req.query, data: req.body } : req.body;
+        const dryRun = options.dryRun === true || options.dryRun === 'true';
+        const { format, candidates } = importers.parseImport(options.data, {
+            format: options.format,
+            mapping: options.mapping,
+            dateFormat: options.dateFormat
+        });
+        if (candidates.length > MAX_IMPORT_ROWS) {
+            throw new HttpError(400, `Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file`);
+        }
+
+        // Published once the import is saved
+        const createdEntries = [];
+        let createdProjects = [];
+        const report = await auditedTransaction(req.user, async (tx) => {
+            const workspaceId = req.workspace.id;
+            const context = {
+                workspaceId,
+                dryRun,
+                createProjects: !(options.createProjects === false || options.createProjects === 'false'),
+                canCreateClients: workspaces.isManager(req),
+                clients: await tx.list('clients', { workspaceId }),
+                projects: (await tx.list('projects', { workspaceId })).filter(project => !project.archivedAt),
+                tags: await tx.list('tags', { workspaceId }),
+                createdClients: [],
+                createdProjects: [],
+                createdTags: []
+            };
+            createdProjects = context.createdProjects;
+            const seen = new Set((await tx.list('entries', { userId: req.user.id })).filter(entry => entry.endTime).map(entryKey));
+            const lockOf = await loadPeriodLocks(tx, workspaceId);
+            const rows = [];
+
+            for (const candidate of candidates) {
+                const row = {
+                    row: candidate.row,
+                    startTime: candidate.startTime || null,
+                    endTime: candidate.endTime || null,
+                    projectName: candidate.projectName || null,
+                    description: candidate.description || ''
+                };
+                rows.push(row);
+                if (candidate.errors) {
+                    Object.assign(row, { status: 'rejected', errors: candidate.errors });
+                    continue;
+                }
+
+                const body = { projectId: 'pending', description: candidate.description, startTime: candidate.startTime, endTime: candidate.endTime };
+                for (const field of ['billable', 'hourlyRate']) {
+                    if (candidate[field] !== undefined && candidate[field] !== null) {
+                        body[field] = candidate[field];
+                    }
+                }
+                const { values, errors } = entrySchema.parseEntry(body);
+                if (!candidate.endTime) {
+                    errors.push({ field: 'endTime', message: 'is required; running timers are not imported' });
+                }
+                if (!candidate.projectName) {
+                    errors.push({ field: 'project', message: 'is missing' });
+                }
+                if (errors.length > 0) {
+                    Object.assign(row, { status: 'rejected', errors });
+                    continue;
+                }
+                if (seen.has(entryKey(values))) {
+                    row.status = 'duplicate';
+                    continue;
+                }
+                const lock = lockOf({ userId: req.user.id, startTime: values.startTime });
+                if (lock) {
+                    Object.assign(row, { status: 'rejected', errors: [{ field: 'startTime', message: lock.message }] });
+                    continue;
+                }
+
+                const { project, error } = await resolveImportProject(tx, context, candidate);
+                if (error) {
+                    Object.assign(row, { status: 'rejected', errors: [{ field: 'project', message: error }] });
+                    continue;
+                }
+
+                const entry = {
+                    id: generateId(),
+                    userId: req.user.id,
+                    workspaceId,
+                    description: '',
+                    breaks: [],
+                    billable: project.billable !== false,
+                    ...values,
+                    projectId: project.id,
+                    tagIds: await resolveImportTags(tx, context, candidate.tagNames),
+                    status: 'completed',
+                    createdAt: new Date().toISOString()
+                };
+                Object.assign(entry, calculateDurations(entry));
+                if (!dryRun) {
+                    createdEntries.push(await tx.insert('entries', entry));
+                }
+                seen.add(entryKey(entry));
+                // A dry run's new projects and entries get no ids worth reporting
+                Object.assign(row, { status: 'accepted', duration: entry.duration, ...(!dryRun && { projectId: project.id, entryId: entry.id }) });
+            }
+
+            const count = status => rows.filter(row => row.status === status).length;
+            return {
+                format,
+                dryRun,
+                total: rows.length,
+                accepted: count('accepted'),
+                duplicates: count('duplicate'),
+                rejected: count('rejected'),
+                createdClients: context.createdClients.map(({ id, name }) => ({ ...(!dryRun && { id }), name })),
+                createdProjects: context.createdProjects.map(({ id, name, clientId }) => ({
+                    ...(!dryRun && { id }),
+                    name,
+                    clientName: clientId ? context.clients.find(client => client.id === clientId).name : null
+                })),
+                createdTags: context.createdTags.map(({ id, name }) => ({ ...(!dryRun && { id }), name })),
+                rows
+            };
+        });
+
+        if (!dryRun) {
+            console.log(`Imported ${report.accepted} of ${report.total} rows (${format})`);
+            // The same events as adding each one by hand, so webhooks hear of them
+            createdProjects.forEach(project => publishProject('project.created', project));
+            createdEntries.forEach(entry => publishEntry('entry.created', entry));
+        }
+        res.status(dryRun || report.accepted === 0 ? 200 : 201).json(report);
+    } catch (error) {
+        sendError(res, error, 'Import');
     }
 });
 
 // Reset data endpoint (useful for testing)
-app.post('/api/reset', async (req, res) => {
+// Resets the current workspace; other workspaces are left alone
+app.post('/api/reset', requireAdmin, resolveWorkspace, async (req, res) => {
     try {
+        await backups.createBackup('pre-reset');
+        const workspaceId = req.workspace.id;
+
         // Reset to default data
-        const defaultProjects = [
-            { id: '1', name: 'Client A - Bookkeeping', color: '#3B82F6', createdAt: new Date().toISOString() },
-            { id: '2', name: 'Client B - Tax Prep', color: '#10B981', createdAt: new Date().toISOString() },
-            { id: '3', name: 'Client C - Payroll', color: '#F59E0B', createdAt: new Date().toISOString() }
-        ];
-        
-        await writeJSONFile(PROJECTS_FILE, defaultProjects);
-        await writeJSONFile(ENTRIES_FILE, []);
+        await auditedTransaction(req.user, async (tx) => {
+            const otherProjects = (await tx.list('projects')).filter(project => project.workspaceId !== workspaceId);
+            const otherEntries = (await tx.list('entries')).filter(entry => entry.workspaceId !== workspaceId);
+            const otherInvoices = (await tx.list('invoices')).filter(invoice => invoice.workspaceId !== workspaceId);
+            const otherClients = (await tx.list('clients')).filter(client => client.workspaceId !== workspaceId);
+            const otherTags = (await tx.list('tags')).filter(tag => tag.workspaceId !== workspaceId);
+            const otherTimesheets = (await tx.list('timesheets')).filter(sheet => sheet.workspaceId !== workspaceId);
+            const projects = defaultProjects().map(project => ({ ...project, id: generateId(), workspaceId }));
+
+            await tx.replaceAll('projects', [...otherProjects, ...projects]);
+            await tx.replaceAll('entries', otherEntries);
+            await tx.replaceAll('invoices', otherInvoices);
+            await tx.replaceAll('clients', otherClients);
+            await tx.replaceAll('tags', otherTags);
+            await tx.replaceAll('timesheets', otherTimesheets);
+            await extractClients(tx, workspaceId);
+        });
         
-        console.log('Data reset to defaults');
+        console.log('Data reset to defaults in workspace:', req.workspace.name);
         res.json({ message: 'Data reset successfully' });
     } catch (error) {
-        console.error('Reset error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Reset');
+    }
+});
+
+// Admin: backups
+app.get('/api/admin/backups', requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            backups: await backups.listBackups(),
+            corruptFiles: storage.getCorruptFiles()
+        });
+    } catch (error) {
+        sendError(res, error, 'List backups');
+    }
+});
+
+app.post('/api/admin/backups', requireAdmin, async (req, res) => {
+    try {
+        const backup = await backups.createBackup('manual');
+        res.status(201).json(backup);
+    } catch (error) {
+        sendError(res, error, 'Create backup');
+    }
+});
+
+app.post('/api/admin/backups/:id/restore', requireAdmin, async (req, res) => {
+    try {
+        // Recorded in the audit log like any other change
+        const backup = await backups.restoreBackup(req.params.id, { transaction: fn => auditedTransaction(req.user, fn) });
+        res.json({ message: 'Backup restored successfully', backup });
+    } catch (error) {
+        sendError(res, error, 'Restore backup');
     }
 });
 
@@ -436,7 +3304,7 @@ app.get('/test', (req, res) => {
                     <li><a href="/api/extension/ping">Extension Ping</a></li>
                     <li><a href="/api/data">All Data</a></li>
                 </ul>
-                <p>✅ JSON File Storage - No Database Required!</p>
+                <p>✅ Storage driver: ${storage.name}</p>
             </body>
         </html>
     `);
@@ -465,15 +3333,34 @@ app.use('*', (req, res) => {
 async function startServer() {
     try {
         await initializeData();
+
+        // Snapshot on every start, then periodically while data changes
+        try {
+            await backups.createBackup('startup');
+        } catch (error) {
+            console.error('Startup backup failed:', error.message);
+        }
+        backups.schedule(config.backups.intervalMinutes);
+
+        // Forgotten timers, at start and then every few minutes
+        const checkTimers = () => autoStopTimers().catch(error => console.error('Timer check failed:', error.message));
+        await checkTimers();
+        setInterval(checkTimers, config.timer.checkIntervalMinutes * 60 * 1000).unref();
+
+        // Webhook retries that were waiting when the server stopped
+        const pending = await webhookDispatcher.resumePending();
+        if (pending > 0) {
+            console.log(`Resuming ${pending} pending webhook deliveries`);
+        }
         
         app.listen(PORT, () => {
             console.log(`🚀 Time Tracker Server running on port ${PORT}`);
             console.log(`📊 Web App: http://localhost:${PORT}`);
             console.log(`🔌 API: http://localhost:${PORT}/api`);
             console.log(`🖥️ Extension API: http://localhost:${PORT}/api/extension`);
-            console.log(`💾 Data stored in: ${DATA_DIR}`);
+            console.log(`💾 Data stored in: ${storage.name === 'sqlite' ? config.storage.sqliteFile : DATA_DIR} (${storage.name} storage)`);
             console.log(`🧪 Test page: http://localhost:${PORT}/test`);
-            console.log(`✅ JSON File Storage - No Database Dependencies!`);
+            console.log(`✅ Storage driver: ${storage.name}`);
         });
     } catch (error) {
         console.error('Failed to start server:', error);
@@ -0,0 +1,36 @@
+const fs = require('fs').promises;
+const { createLock } = require('./lock');
+
+// One queue per file so two writers never interleave on the same path
+const fileLocks = new Map();
+
+function lockFor(filePath) {
+    if (!fileLocks.has(filePath)) {
+        fileLocks.set(filePath, createLock());
+    }
+    return fileLocks.get(filePath);
+}
+
+// Write to a temp file, flush it to disk and rename it over the target, so a
+// crash leaves either the old file or the new one, never half of each
+function writeFileAtomic(filePath, contents) {
+    return lockFor(filePath)(async () => {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(contents, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    });
+}
+
+module.exports = { writeFileAtomic };
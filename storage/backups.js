@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-write');
+const { HttpError } = require('../lib/http-error');
+
+const BACKUP_ID_PATTERN = /^[\w.-]+$/;
+
+// Timestamped snapshots of every collection, written as one JSON file per
+// collection under data/backups/<id>/ with a manifest. Works with any driver
+// because it only goes through the storage API. Restores leave the
+// `appendOnly` collections (such as the audit log) as they are, and write
+// through `transaction` (storage.transaction by default) so the caller can
+// record what the restore changed.
+function createBackupManager(storage, { dir, keep, appendOnly = [] }) {
+    let lastBackupAt = null;
+
+    function backupPath(id) {
+        if (!BACKUP_ID_PATTERN.test(id)) {
+            throw new HttpError(400, 'Invalid backup id');
+        }
+        return path.join(dir, id);
+    }
+
+    async function createBackup(reason = 'manual') {
+        const createdAt = new Date();
+        const id = `${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason}`;
+        const target = backupPath(id);
+
+        // Read everything in one transaction so the snapshot is consistent
+        const names = await storage.collections();
+        const snapshot = await storage.transaction(async (tx) => {
+            const data = {};
+            for (const collection of names) {
+                data[collection] = await tx.list(collection);
+            }
+            return data;
+        });
+
+        await fs.mkdir(target, { recursive: true });
+        for (const [collection, docs] of Object.entries(snapshot)) {
+            await writeFileAtomic(path.join(target, `${collection}.json`), JSON.stringify(docs, null, 2));
+        }
+
+        const manifest = {
+            id,
+            reason,
+            driver: storage.name,
+            createdAt: createdAt.toISOString(),
+            counts: Object.fromEntries(Object.entries(snapshot).map(([collection, docs]) => [collection, docs.length]))
+        };
+        // Written last: a backup without a manifest is incomplete and ignored
+        await writeFileAtomic(path.join(target, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+        lastBackupAt = createdAt;
+        await pruneBackups();
+        console.log('Created backup:', id);
+        return manifest;
+    }
+
+    async function listBackups() {
+        let dirs;
+        try {
+            dirs = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const backups = [];
+        for (const id of dirs.filter(name => BACKUP_ID_PATTERN.test(name))) {
+            try {
+                const manifest = JSON.parse(await fs.readFile(path.join(dir, id, 'manifest.json'), 'utf8'));
+                backups.push(manifest);
+            } catch (error) {
+                // Incomplete or damaged backup
+            }
+        }
+
+        return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async function pruneBackups() {
+        const backups = await listBackups();
+        for (const backup of backups.slice(keep)) {
+            await fs.rm(path.join(dir, backup.id), { recursive: true, force: true });
+            console.log('Pruned backup:', backup.id);
+        }
+    }
+
+    async function restoreBackup(id, { transaction = fn => storage.transaction(fn) } = {}) {
+        const source = backupPath(id);
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(source, 'manifest.json'), 'utf8'));
+        } catch (error) {
+            throw new HttpError(404, 'Backup not found');
+        }
+
+        const data = {};
+        for (const collection of Object.keys(manifest.counts)) {
+            data[collection] = JSON.parse(await fs.readFile(path.join(source, `${collection}.json`), 'utf8'));
+        }
+
+        // Keep the current state too, in case the restore was a mistake. If
+        // the current data is corrupt there is nothing useful to keep.
+        try {
+            await createBackup('pre-restore');
+        } catch (error) {
+            console.error('Pre-restore backup skipped:', error.message);
+        }
+
+        await transaction(async (tx) => {
+            for (const [collection, docs] of Object.entries(data)) {
+                if (!appendOnly.includes(collection)) {
+                    await tx.replaceAll(collection, docs);
+                }
+            }
+        });
+
+        console.log('Restored backup:', id);
+        return manifest;
+    }
+
+    // Periodic backups, skipped when nothing has been written since the last one
+    function schedule(intervalMinutes) {
+        const timer = setInterval(async () => {
+            const lastWriteAt = storage.getLastWriteAt();
+            if (!lastWriteAt || (lastBackupAt && lastWriteAt <= lastBackupAt)) {
+                return;
+            }
+            try {
+                await createBackup('auto');
+            } catch (error) {
+                console.error('Automatic backup failed:', error);
+            }
+        }, intervalMinutes * 60 * 1000);
+        timer.unref();
+        return timer;
+    }
+
+    return { createBackup, listBackups, restoreBackup, schedule };
+}
+
+module.exports = { createBackupManager };
@@ -0,0 +1,15 @@
+const { HttpError } = require('../lib/http-error');
+
+// A collection file that can't be parsed. The driver refuses to read or
+// overwrite it until an admin restores a backup.
+class CorruptDataError extends HttpError {
+    constructor(collection, quarantinedAs) {
+        super(503, `Stored ${collection} data is corrupt and has been quarantined; restore a backup to continue`, {
+            collection,
+            quarantinedAs
+        });
+        this.name = 'CorruptDataError';
+    }
+}
+
+module.exports = { CorruptDataError };
@@ -0,0 +1,8 @@
+// Simple equality filter shared by the drivers: { projectId: '1' } keeps
+// documents whose projectId is '1'; undefined values are ignored
+function matchesFilter(filter = {}) {
+    const conditions = Object.entries(filter).filter(([, value]) => value !== undefined);
+    return (doc) => conditions.every(([field, value]) => doc[field] === value);
+}
+
+module.exports = { matchesFilter };
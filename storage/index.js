@@ -0,0 +1,51 @@
+const { createJsonDriver } = require('./json-driver');
+const { createSqliteDriver } = require('./sqlite-driver');
+
+const DRIVERS = {
+    json: createJsonDriver,
+    sqlite: createSqliteDriver
+};
+
+// Every driver speaks the same async, collection-based API:
+//
+//   transaction(fn)              run fn(tx) atomically; nothing is saved if it throws
+//   list(collection, filter)     documents matching an equality filter, oldest first
+//   get(collection, id)          one document or null
+//   insert(collection, doc)      doc must carry its own id
+//   update(collection, doc)      replace the stored doc with the same id (null if missing)
+//   remove(collection, id)       the removed doc or null
+//   replaceAll(collection, docs)
+//
+// tx exposes the same data methods. The top-level ones are shortcuts that
+// each run in their own transaction. Drivers also report:
+//
+//   collections()                names of every stored collection
+//   getLastWriteAt()             Date of the last committed write (or null)
+//   getCorruptFiles()            collections that failed to load and were quarantined
+//
+// options.appendOnly names collections whose documents are only ever
+// inserted (the audit log). Both drivers refuse to update, remove or
+// replace their documents; the JSON driver only replaces one to repair a
+// corrupt file. Backup restores leave them alone (see backups.js). The JSON
+// driver also appends them to a file instead of rewriting it.
+function createStorage(options) {
+    const createDriver = DRIVERS[options.driver];
+    if (!createDriver) {
+        throw new Error(`Unknown storage driver "${options.driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+
+    const driver = createDriver(options);
+    const shortcut = (method) => (...args) => driver.transaction(tx => tx[method](...args));
+
+    return {
+        ...driver,
+        list: shortcut('list'),
+        get: shortcut('get'),
+        insert: shortcut('insert'),
+        update: shortcut('update'),
+        remove: shortcut('remove'),
+        replaceAll: shortcut('replaceAll')
+    };
+}
+
+module.exports = { createStorage };
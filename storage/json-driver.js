@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createLock } = require('./lock');
+const { matchesFilter } = require('./filter');
+const { writeFileAtomic } = require('./atomic-write');
+const { formatJsonLines, parseJsonLines } = require('./json-lines');
+const { CorruptDataError } = require('./errors');
+
+// Each collection lives in data/<collection>.json as a plain array.
+// Transactions are serialized, so a read-modify-write can no longer be
+// interleaved with another request's write, and files are replaced
+// atomically, so a crash mid-write can't truncate them. A transaction that
+// changes several collections is journaled first (see commit), so it is
+// saved whole or not at all.
+//
+// The `appendOnly` collections (the audit log) live in
+// data/<collection>.jsonl, one document per line. Documents are only ever
+// added to them, and adding appends lines instead of rewriting the file, so
+// a write costs the same however long the history grows.
+function createJsonDriver({ dataDir, quarantineDir = path.join(dataDir, 'quarantine'), appendOnly = [] }) {
+    const runExclusive = createLock();
+    const corruptFiles = new Map();
+    let lastWriteAt = null;
+    let journalPending = false;
+
+    function isAppendOnly(collection) {
+        return appendOnly.includes(collection);
+    }
+
+    function filePath(collection) {
+        return path.join(dataDir, `${collection}.${isAppendOnly(collection) ? 'jsonl' : 'json'}`);
+    }
+
+    const journalPath = path.join(dataDir, 'transaction.journal');
+
+    async function readCollection(collection) {
+        let data;
+        try {
+            data = await fs.readFile(filePath(collection), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        let docs;
+        try {
+            docs = isAppendOnly(collection) ? parseJsonLines(data) : JSON.parse(data);
+        } catch (error) {
+            docs = null;
+        }
+        if (!Array.isArray(docs)) {
+            throw await quarantine(collection, data);
+        }
+
+        corruptFiles.delete(collection);
+        return docs;
+    }
+
+    // Keep a copy of the unreadable file for inspection and leave the
+    // original in place, so nothing can silently replace it with an empty list
+    async function quarantine(collection, data) {
+        const hash = crypto.createHash('sha1').update(data).digest('hex').slice(0, 8);
+        const quarantinedAs = path.join(quarantineDir, `${collection}-${hash}${path.extname(filePath(collection))}`);
+
+        if (!corruptFiles.has(collection)) {
+            await fs.mkdir(quarantineDir, { recursive: true });
+            await fs.writeFile(quarantinedAs, data, 'utf8');
+            console.error(`Corrupt data file ${filePath(collection)} quarantined as ${quarantinedAs}`);
+        }
+
+        corruptFiles.set(collection, { collection, file: filePath(collection), quarantinedAs, detectedAt: new Date().toISOString() });
+        return new CorruptDataError(collection, quarantinedAs);
+    }
+
+    async function writeCollection(collection, docs) {
+        await writeFileAtomic(filePath(collection), isAppendOnly(collection) ? formatJsonLines(docs) : JSON.stringify(docs, null, 2));
+    }
+
+    async function fileSize(collection) {
+        try {
+            return (await fs.stat(filePath(collection))).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    // Adds `docs` after the first `offset` bytes of an append-only
+    // collection, dropping anything past them, so replaying a journaled
+    // append never adds its documents twice
+    async function appendCollection(collection, { offset, docs }) {
+        const handle = await fs.open(filePath(collection), 'a');
+        try {
+            await handle.truncate(offset);
+            await handle.appendFile(formatJsonLines(docs), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Saves the collections a transaction changed: `writes` maps collections
+    // to their new documents, `appends` append-only collections to the
+    // documents added. When that is more than one file, or any append (which
+    // could stop halfway through a line), it is written to the journal first;
+    // the journal's atomic rename is the commit point. The files are then
+    // written one by one and the journal removed. If that is cut short by a
+    // crash or a failed write, the journal is still there and is replayed
+    // before anything is read again, so the transaction ends up saved whole
+    // (even though its caller saw the error).
+    async function commit(writes, appends) {
+        const appendAt = {};
+        for (const [collection, docs] of appends) {
+            appendAt[collection] = { offset: await fileSize(collection), docs };
+        }
+        const journaled = writes.size > 1 || appends.size > 0;
+        if (journaled) {
+            await writeFileAtomic(journalPath, JSON.stringify({ collections: Object.fromEntries(writes), appends: appendAt }));
+            journalPending = true;
+        }
+        for (const [collection, docs] of writes) {
+            await writeCollection(collection, docs);
+        }
+        for (const [collection, append] of Object.entries(appendAt)) {
+            await appendCollection(collection, append);
+        }
+        if (journaled) {
+            await fs.unlink(journalPath);
+            journalPending = false;
+        }
+    }
+
+    // Finishes a commit that was cut short, if there is one
+    async function replayJournal() {
+        let data;
+        try {
+            data = await fs.readFile(journalPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                journalPending = false;
+                return;
+            }
+            throw error;
+        }
+
+        const { collections: writes, appends = {} } = JSON.parse(data);
+        for (const [collection, docs] of Object.entries(writes)) {
+            await writeCollection(collection, docs);
+        }
+        for (const [collection, append] of Object.entries(appends)) {
+            await appendCollection(collection, append);
+        }
+        await fs.unlink(journalPath);
+        journalPending = false;
+        console.log(`Replayed an unfinished transaction on ${[...Object.keys(writes), ...Object.keys(appends)].join(', ')}`);
+    }
+
+    async function exists(collection) {
+        try {
+            await fs.access(filePath(collection));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async function init(defaults = {}) {
+        await fs.mkdir(dataDir, { recursive: true });
+
+        // Temp files left behind by a crash before their rename
+        const files = await fs.readdir(dataDir);
+        await Promise.all(files
+            .filter(file => file.endsWith('.tmp'))
+            .map(file => fs.unlink(path.join(dataDir, file)).catch(() => {})));
+        await replayJournal();
+
+        // Append-only collections that older versions kept as .json arrays
+        for (const collection of appendOnly) {
+            const legacyPath = path.join(dataDir, `${collection}.json`);
+            if (files.includes(`${collection}.json`) && !(await exists(collection))) {
+                let docs;
+                try {
+                    docs = JSON.parse(await fs.readFile(legacyPath, 'utf8'));
+                } catch (error) {
+                    docs = null;
+                }
+                if (Array.isArray(docs)) {
+                    await writeCollection(collection, docs);
+                    await fs.unlink(legacyPath);
+                    console.log(`Moved ${docs.length} ${collection} records to ${filePath(collection)}`);
+                } else {
+                    await fs.mkdir(quarantineDir, { recursive: true });
+                    await fs.rename(legacyPath, path.join(quarantineDir, `${collection}.json`));
+                    console.error(`Unreadable ${legacyPath} moved to ${quarantineDir}`);
+                }
+            }
+        }
+
+        // Only seed collections that have never been written
+        for (const [collection, docs] of Object.entries(defaults)) {
+            if (!(await exists(collection))) {
+                await writeCollection(collection, docs);
+            }
+        }
+    }
+
+    function transaction(fn) {
+        return runExclusive(async () => {
+            if (journalPending) {
+                await replayJournal();
+            }
+            const loaded = new Map();
+            const dirty = new Set();
+            const replaced = new Set();
+            // Documents added to append-only collections, written on commit
+            const appended = new Map();
+
+            async function load(collection) {
+                if (!loaded.has(collection)) {
+                    const docs = await readCollection(collection);
+                    loaded.set(collection, [...docs, ...(appended.get(collection) || []).map(clone)]);
+                }
+                return loaded.get(collection);
+            }
+
+            function assertMutable(collection) {
+                if (isAppendOnly(collection)) {
+                    throw new Error(`${collection} is append-only; documents can't be changed or removed`);
+                }
+            }
+
+            const tx = {
+                async list(collection, filter) {
+                    return (await load(collection)).filter(matchesFilter(filter)).map(clone);
+                },
+
+                async get(collection, id) {
+                    const doc = (await load(collection)).find(item => item.id === id);
+                    return doc ? clone(doc) : null;
+                },
+
+                async insert(collection, doc) {
+                    // Appended without reading the file (or checking ids,
+                    // which generateId keeps unique)
+                    if (isAppendOnly(collection) && !dirty.has(collection)) {
+                        if (!appended.has(collection)) {
+                            appended.set(collection, []);
+                        }
+                        appended.get(collection).push(clone(doc));
+                        if (loaded.has(collection)) {
+                            loaded.get(collection).push(clone(doc));
+                        }
+                        return clone(doc);
+                    }
+
+                    const docs = await load(collection);
+                    if (docs.some(item => item.id === doc.id)) {
+                        throw new Error(`Duplicate id "${doc.id}" in ${collection}`);
+                    }
+                    docs.push(clone(doc));
+                    dirty.add(collection);
+                    return clone(doc);
+                },
+
+                async update(collection, doc) {
+                    assertMutable(collection);
+                    const docs = await load(collection);
+                    const index = docs.findIndex(item => item.id === doc.id);
+                    if (index === -1) {
+                        return null;
+                    }
+                    docs[index] = clone(doc);
+                    dirty.add(collection);
+                    return clone(doc);
+                },
+
+                async remove(collection, id) {
+                    assertMutable(collection);
+                    const docs = await load(collection);
+                    const index = docs.findIndex(item => item.id === id);
+                    if (index === -1) {
+                        return null;
+                    }
+                    const [removed] = docs.splice(index, 1);
+                    dirty.add(collection);
+                    return removed;
+                },
+
+                // The one write allowed on a corrupt collection: it is how a
+                // backup restore repairs it. Append-only collections can
+                // only be replaced that way, never while they are readable.
+                async replaceAll(collection, docs) {
+                    if (isAppendOnly(collection)) {
+                        let readable = true;
+                        try {
+                            await readCollection(collection);
+                        } catch (error) {
+                            readable = !(error instanceof CorruptDataError);
+                        }
+                        if (readable) {
+                            assertMutable(collection);
+                        }
+                    }
+                    appended.delete(collection);
+                    loaded.set(collection, docs.map(clone));
+                    dirty.add(collection);
+                    replaced.add(collection);
+                }
+            };
+
+            // Nothing is written unless fn completes
+            const result = await fn(tx);
+            await commit(new Map([...dirty].map(collection => [collection, loaded.get(collection)])), appended);
+            for (const collection of replaced) {
+                corruptFiles.delete(collection);
+            }
+            if (dirty.size > 0 || appended.size > 0) {
+                lastWriteAt = new Date();
+            }
+            return result;
+        });
+    }
+
+    // Every collection file in the data directory. Other JSON files kept
+    // there (e.g. the legacy storage.json object) are not collections.
+    async function collections() {
+        const files = await fs.readdir(dataDir);
+        const names = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const collection = path.basename(file, '.json');
+            try {
+                const data = JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf8'));
+                if (!Array.isArray(data)) {
+                    continue;
+                }
+            } catch (error) {
+                // Corrupt collections still count; reading them reports the problem
+            }
+            names.push(collection);
+        }
+        for (const file of files.filter(name => name.endsWith('.jsonl'))) {
+            names.push(path.basename(file, '.jsonl'));
+        }
+        return names;
+    }
+
+    return {
+        name: 'json',
+        init,
+        transaction,
+        collections,
+        getLastWriteAt: () => lastWriteAt,
+        getCorruptFiles: () => [...corruptFiles.values()],
+        async close() {}
+    };
+}
+
+function clone(doc) {
+    return JSON.parse(JSON.stringify(doc));
+}
+
+module.exports = { createJsonDriver };
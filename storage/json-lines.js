@@ -0,0 +1,29 @@
+// Append-only collections are stored as JSON lines: one document per line,
+// so adding documents appends to the file instead of rewriting it
+
+function formatJsonLines(docs) {
+    return docs.map(doc => JSON.stringify(doc) + '\n').join('');
+}
+
+// The documents, or null if any line is not a JSON object
+function parseJsonLines(text) {
+    const docs = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        let doc;
+        try {
+            doc = JSON.parse(line);
+        } catch (error) {
+            return null;
+        }
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            return null;
+        }
+        docs.push(doc);
+    }
+    return docs;
+}
+
+module.exports = { formatJsonLines, parseJsonLines };
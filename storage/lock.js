@@ -0,0 +1,13 @@
+// Minimal async mutex: callers queue up and run one at a time
+function createLock() {
+    let tail = Promise.resolve();
+
+    return function runExclusive(fn) {
+        const result = tail.then(() => fn());
+        // Keep the chain alive whether or not fn fails
+        tail = result.catch(() => {});
+        return result;
+    };
+}
+
+module.exports = { createLock };
@@ -0,0 +1,17 @@
+// Document fields the SQLite driver copies into their own indexed columns.
+// Adding a field here adds (and backfills) the column on the next start.
+module.exports = {
+    entries: ['projectId', 'startTime', 'userId', 'workspaceId'],
+    projects: ['workspaceId', 'clientId'],
+    clients: ['workspaceId'],
+    tags: ['workspaceId'],
+    memberships: ['workspaceId', 'userId'],
+    invoices: ['workspaceId'],
+    timesheets: ['workspaceId', 'userId'],
+    audit: ['workspaceId', 'entityId'],
+    webhooks: ['workspaceId'],
+    webhookDeliveries: ['webhookId', 'status'],
+    users: ['email'],
+    sessions: ['tokenHash'],
+    apiTokens: ['tokenHash', 'userId']
+};
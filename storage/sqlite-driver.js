@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { createLock } = require('./lock');
+const { matchesFilter } = require('./filter');
+const { parseJsonLines } = require('./json-lines');
+const INDEXED_FIELDS = require('./schema');
+
+function loadDatabase() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage driver needs the optional "better-sqlite3" package (npm install better-sqlite3)');
+    }
+}
+
+// projectId -> project_id
+function columnName(field) {
+    return field.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+}
+
+function tableName(collection) {
+    if (!/^[a-z][a-z0-9_]*$/i.test(collection)) {
+        throw new Error(`Invalid collection name: ${collection}`);
+    }
+    return collection;
+}
+
+// SQLite can't bind booleans or objects
+function toColumnValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Each collection is a table of JSON documents keyed by id, with the fields
+// from schema.js mirrored into indexed columns for filtering and sorting.
+// The `appendOnly` collections (the audit log) only take inserts.
+function createSqliteDriver({ sqliteFile, dataDir, appendOnly = [] }) {
+    const Database = loadDatabase();
+
+    fs.mkdirSync(path.dirname(sqliteFile), { recursive: true });
+    const isNewDatabase = !fs.existsSync(sqliteFile);
+    const db = new Database(sqliteFile);
+    db.pragma('journal_mode = WAL');
+    db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+
+    // better-sqlite3 is synchronous, but transaction callbacks are async and
+    // may await between statements, so serialize them like the JSON driver
+    const runExclusive = createLock();
+    const readyTables = new Set();
+    let lastWriteAt = null;
+    let pendingWrite = false;
+
+    function ensureTable(collection) {
+        if (readyTables.has(collection)) {
+            return;
+        }
+
+        const table = tableName(collection);
+        db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+
+        const existingColumns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+        (INDEXED_FIELDS[collection] || []).forEach(field => {
+            const column = columnName(field);
+            if (!existingColumns.has(column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+                db.prepare(`UPDATE ${table} SET ${column} = json_extract(data, ?)`).run(`$.${field}`);
+            }
+            db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_${column} ON ${table} (${column})`);
+        });
+
+        readyTables.add(collection);
+    }
+
+    function indexedFields(collection) {
+        return INDEXED_FIELDS[collection] || [];
+    }
+
+    function list(collection, filter = {}) {
+        ensureTable(collection);
+
+        const where = [];
+        const params = [];
+        Object.entries(filter).forEach(([field, value]) => {
+            if (value === undefined || !indexedFields(collection).includes(field)) {
+                return;
+            }
+            if (value === null) {
+                where.push(`${columnName(field)} IS NULL`);
+            } else {
+                where.push(`${columnName(field)} = ?`);
+                params.push(toColumnValue(value));
+            }
+        });
+
+        const sql = `SELECT data FROM ${tableName(collection)}`
+            + (where.length ? ` WHERE ${where.join(' AND ')}` : '')
+            + ' ORDER BY rowid';
+
+        // Non-indexed fields are still filtered, just in JS
+        return db.prepare(sql).all(...params)
+            .map(row => JSON.parse(row.data))
+            .filter(matchesFilter(filter));
+    }
+
+    function get(collection, id) {
+        ensureTable(collection);
+        const row = db.prepare(`SELECT data FROM ${tableName(collection)} WHERE id = ?`).get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    function insert(collection, doc) {
+        ensureTable(collection);
+        const fields = indexedFields(collection);
+        const columns = ['id', 'data', ...fields.map(columnName)];
+        db.prepare(`INSERT INTO ${tableName(collection)} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+            .run(doc.id, JSON.stringify(doc), ...fields.map(field => toColumnValue(doc[field])));
+        pendingWrite = true;
+        return doc;
+    }
+
+    function update(collection, doc) {
+        ensureTable(collection);
+        const fields = indexedFields(collection);
+        const assignments = ['data = ?', ...fields.map(field => `${columnName(field)} = ?`)];
+        const result = db.prepare(`UPDATE ${tableName(collection)} SET ${assignments.join(', ')} WHERE id = ?`)
+            .run(JSON.stringify(doc), ...fields.map(field => toColumnValue(doc[field])), doc.id);
+        pendingWrite = pendingWrite || result.changes > 0;
+        return result.changes > 0 ? doc : null;
+    }
+
+    function remove(collection, id) {
+        const doc = get(collection, id);
+        if (doc) {
+            db.prepare(`DELETE FROM ${tableName(collection)} WHERE id = ?`).run(id);
+            pendingWrite = true;
+        }
+        return doc;
+    }
+
+    function replaceAll(collection, docs) {
+        ensureTable(collection);
+        db.prepare(`DELETE FROM ${tableName(collection)}`).run();
+        docs.forEach(doc => insert(collection, doc));
+        pendingWrite = true;
+    }
+
+    function assertMutable(collection) {
+        if (appendOnly.includes(collection)) {
+            throw new Error(`${collection} is append-only; documents can't be changed or removed`);
+        }
+    }
+
+    const tx = {
+        list: async (collection, filter) => list(collection, filter),
+        get: async (collection, id) => get(collection, id),
+        insert: async (collection, doc) => insert(collection, doc),
+        update: async (collection, doc) => {
+            assertMutable(collection);
+            return update(collection, doc);
+        },
+        remove: async (collection, id) => {
+            assertMutable(collection);
+            return remove(collection, id);
+        },
+        replaceAll: async (collection, docs) => {
+            assertMutable(collection);
+            return replaceAll(collection, docs);
+        }
+    };
+
+    function transaction(fn) {
+        return runExclusive(async () => {
+            db.exec('BEGIN IMMEDIATE');
+            pendingWrite = false;
+            try {
+                const result = await fn(tx);
+                db.exec('COMMIT');
+                if (pendingWrite) {
+                    lastWriteAt = new Date();
+                }
+                return result;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    // One-time import of the JSON driver's files (data/<collection>.json, or
+    // .jsonl for append-only collections)
+    function migrateFromJson() {
+        if (db.prepare('SELECT value FROM meta WHERE key = ?').get('migratedFromJson')) {
+            return;
+        }
+
+        const files = fs.existsSync(dataDir)
+            ? fs.readdirSync(dataDir).filter(file => file.endsWith('.json') || file.endsWith('.jsonl'))
+            : [];
+
+        db.transaction(() => {
+            files.forEach(file => {
+                const collection = path.basename(file, path.extname(file));
+                let docs;
+                try {
+                    const data = fs.readFileSync(path.join(dataDir, file), 'utf8');
+                    docs = file.endsWith('.jsonl') ? parseJsonLines(data) : JSON.parse(data);
+                } catch (error) {
+                    console.warn(`Skipping ${file} during SQLite migration:`, error.message);
+                    return;
+                }
+                if (!Array.isArray(docs) || !/^[a-z][a-z0-9_]*$/i.test(collection)) {
+                    return;
+                }
+
+                docs.filter(doc => doc && doc.id && !get(collection, doc.id))
+                    .forEach(doc => insert(collection, doc));
+                console.log(`Migrated ${docs.length} ${collection} from ${file} to SQLite`);
+            });
+
+            db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)')
+                .run('migratedFromJson', new Date().toISOString());
+        })();
+    }
+
+    async function init(defaults = {}) {
+        migrateFromJson();
+
+        // A brand new database with nothing to migrate gets the defaults
+        Object.entries(defaults).forEach(([collection, docs]) => {
+            if (isNewDatabase && list(collection).length === 0) {
+                replaceAll(collection, docs);
+            }
+        });
+    }
+
+    async function collections() {
+        return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'meta' ORDER BY name")
+            .all()
+            .map(row => row.name);
+    }
+
+    return {
+        name: 'sqlite',
+        init,
+        transaction,
+        collections,
+        getLastWriteAt: () => lastWriteAt,
+        // SQLite protects its own file; corruption surfaces as query errors
+        getCorruptFiles: () => [],
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteDriver };